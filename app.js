@@ -1,13 +1,63 @@
 /**
  * Main Application Logic
- * Coordinates camera, object detection, and image enhancement
+ * Coordinates camera, object detection, image enhancement and the gallery
  */
 
-class CameraApp {
+import { ObjectDetector, DEFAULT_DETECTOR } from './objectDetection.js';
+import { ImageEnhancer } from './imageEnhancement.js';
+import { CameraService, DEFAULT_CAMERA_SETTINGS } from './cameraService.js';
+import { GalleryStore } from './galleryStore.js';
+import { EnhancementQueue, QueueStatus } from './enhancementQueue.js';
+import { createOriginalRecord, createPhotoId } from './photoRecord.js';
+import { captureBurst, scoreFrames } from './burstCapture.js';
+import { chooseMergeMode, captureMerged, MergeMode } from './frameMerge.js';
+import { createCaptureMode, BurstKeep } from './captureMode.js';
+import { GalleryView } from './views/galleryView.js';
+import { PhotoViewer } from './views/photoViewer.js';
+import { StatusView } from './views/statusView.js';
+import { ProviderOrderView } from './views/providerOrderView.js';
+import { ComparisonSlider } from './views/comparisonSlider.js';
+import { DetectorTuningView } from './views/detectorTuningView.js';
+import { CameraControlsView } from './views/cameraControlsView.js';
+import { CameraSettingsView } from './views/cameraSettingsView.js';
+import { CaptureModeView } from './views/captureModeView.js';
+import { BurstPickerView } from './views/burstPickerView.js';
+import { PhotoEditorView } from './views/photoEditorView.js';
+import { RecentlyDeletedView } from './views/recentlyDeletedView.js';
+import { SnackbarView } from './views/snackbarView.js';
+import { PipelineSettingsView } from './views/pipelineSettingsView.js';
+import { PromptTemplateView } from './views/promptTemplateView.js';
+import { StylePresetView } from './views/stylePresetView.js';
+import { createDetectorConfig, DETECTOR_PROFILES, DEFAULT_PROFILE } from './detectors/detectorConfig.js';
+import { createPipelineSettings } from './enhancementPipeline.js';
+import { STYLE_PRESETS, DEFAULT_STYLE_PRESET, getStylePreset } from './stylePresets.js';
+import { DEFAULT_SERVER_URL } from './providers/localServerProvider.js';
+
+export class CameraApp {
     constructor() {
         // Core components
         this.objectDetector = null;
         this.imageEnhancer = null;
+        this.camera = null;
+        this.gallery = null;
+        this.enhancementQueue = null;
+        
+        // Views
+        this.statusView = null;
+        this.galleryView = null;
+        this.photoViewer = null;
+        this.recentlyDeletedView = null;
+        this.snackbarView = null;
+        this.providerOrderView = null;
+        this.comparisonSlider = null;
+        this.detectorTuningView = null;
+        this.cameraControlsView = null;
+        this.cameraSettingsView = null;
+        this.captureModeView = null;
+        this.burstPickerView = null;
+        this.pipelineSettingsView = null;
+        this.promptTemplateView = null;
+        this.stylePresetView = null;
         
         // Camera elements
         this.video = null;
@@ -16,20 +66,24 @@ class CameraApp {
         
         // App state
         this.streaming = false;
+        this.detectionEnabled = false;
+        this.processingLoop = 0;
+        this.capturing = false;
+        this.captureMode = createCaptureMode();
+        this.detectorProfile = DEFAULT_PROFILE;
+        this.detectorTuning = {};
+        this.pipelineTuning = {};
+        this.promptTemplates = {};
+        this.stylePreset = DEFAULT_STYLE_PRESET;
+        this.reviewPhotoId = null;
         this.currentOriginalImage = null;
         this.currentEnhancedImage = null;
         this.currentPrompt = null;
+        this.reviewUrls = [];
         
         // UI elements
         this.elements = {};
         
-        // Touch handling for swipe gestures
-        this.touch = {
-            startX: 0,
-            currentX: 0,
-            isDragging: false
-        };
-        
         // Stats
         this.stats = {
             captureCount: 0,
@@ -45,13 +99,80 @@ class CameraApp {
         try {
             // Initialize UI elements
             this.initializeElements();
+            this.statusView = new StatusView(this.elements.statusOverlay, this.elements.statusMessage);
+            this.comparisonSlider = new ComparisonSlider(this.elements.imageComparison);
             
-            // Initialize object detector
-            this.objectDetector = new ObjectDetector();
+            // Initialize camera service
+            this.video = this.elements.videoElement;
+            this.canvas = this.elements.canvasOutput;
+            this.ctx = this.canvas.getContext('2d');
+            this.camera = new CameraService(this.video);
+            this.cameraControlsView = new CameraControlsView(this.camera, {
+                showStatus: (message) => this.updateStatus(message)
+            });
+            this.loadCameraSettings();
+            this.cameraSettingsView = new CameraSettingsView(this.camera, {
+                onChange: (settings) => this.updateCameraSettings(settings)
+            });
+            this.captureModeView = new CaptureModeView({
+                onChange: (changes) => this.updateCaptureMode(changes)
+            });
+            this.burstPickerView = new BurstPickerView();
+            this.loadCaptureMode();
+            
+            // Object detection backend chosen in settings
+            this.objectDetector = new ObjectDetector(localStorage.getItem('ai-camera-detector') || DEFAULT_DETECTOR);
+            this.elements.detectorBackend.value = this.objectDetector.backendName;
+            this.detectorTuningView = new DetectorTuningView({
+                onProfileChange: (profileName) => this.updateDetectorProfile(profileName),
+                onParameterChange: (key, value) => this.updateDetectorParameter(key, value),
+                onReset: () => this.resetDetectorProfile(),
+                onToggle: (open) => { this.objectDetector.debug = open; }
+            });
+            this.objectDetector.onDebugFrame = (image) => this.detectorTuningView.drawDebug(image);
+            this.loadDetectorConfig();
             
             // Initialize image enhancer
             this.imageEnhancer = new ImageEnhancer();
             this.setupImageEnhancerCallbacks();
+            this.providerOrderView = new ProviderOrderView(this.elements.providerOrder, this.imageEnhancer, {
+                onReorder: (order) => this.updateProviderOrder(order)
+            });
+            this.pipelineSettingsView = new PipelineSettingsView({
+                onParameterChange: (key, value) => this.updatePipelineParameter(key, value),
+                onReset: () => this.resetPipelineSettings()
+            });
+            this.loadPipelineSettings();
+            this.promptTemplateView = new PromptTemplateView(this.imageEnhancer.promptBuilder, {
+                onSave: (provider, template) => this.savePromptTemplate(provider, template),
+                onReset: (provider) => this.resetPromptTemplate(provider),
+                getPreviewPhoto: () => this.getPromptPreviewPhoto()
+            });
+            this.loadPromptSettings();
+            this.stylePresetView = new StylePresetView({
+                onChange: (name) => this.updateStylePreset(name)
+            });
+            this.loadStylePreset();
+            
+            // Initialize gallery and the background enhancement queue
+            this.gallery = new GalleryStore();
+            this.gallery.onWarning = (message) => this.updateStatus(message);
+            this.enhancementQueue = new EnhancementQueue(this.imageEnhancer, this.gallery);
+            this.enhancementQueue.subscribe((job) => this.handleQueueUpdate(job));
+            this.galleryView = new GalleryView(this.gallery, this.enhancementQueue, {
+                onOpenGroup: (groupId) => this.photoViewer.open(groupId)
+            });
+            this.photoViewer = new PhotoViewer(this.gallery, this.enhancementQueue, {
+                editor: new PhotoEditorView(),
+                showStatus: (message) => this.updateStatus(message),
+                onCompare: (photoId) => this.openReview(photoId),
+                onDelete: (group) => this.showUndoDelete(group),
+                getStylePreset: () => this.stylePreset
+            });
+            this.recentlyDeletedView = new RecentlyDeletedView(this.gallery, {
+                showStatus: (message) => this.updateStatus(message)
+            });
+            this.snackbarView = new SnackbarView();
             
             // Setup event listeners
             this.setupEventListeners();
@@ -59,7 +180,9 @@ class CameraApp {
             // Load saved API configuration
             this.loadApiConfig();
             
-            this.updateStatus('Initializing camera...');
+            // Load the library without holding up the camera, then resume
+            // enhancements interrupted by a reload (providers are configured by now)
+            this.gallery.load().then(() => this.enhancementQueue.load());
             
         } catch (error) {
             console.error('Failed to initialize app:', error);
@@ -67,6 +190,15 @@ class CameraApp {
         }
     }
 
+    /**
+     * Start the camera, then add object detection once its backend is ready
+     */
+    async start() {
+        await this.initializeCamera();
+        await this.initializeDetection();
+        this.elements.loadingText.style.display = 'none';
+    }
+
     /**
      * Initialize UI element references
      */
@@ -78,7 +210,6 @@ class CameraApp {
             videoElement: document.getElementById('videoElement'),
             canvasOutput: document.getElementById('canvasOutput'),
             captureBtn: document.getElementById('captureBtn'),
-            statusBar: document.getElementById('statusBar'),
             detectionLabels: document.getElementById('detectionLabels'),
             detectionStats: document.getElementById('detectionStats'),
             
@@ -86,21 +217,31 @@ class CameraApp {
             apiConfig: document.getElementById('apiConfig'),
             apiProvider: document.getElementById('apiProvider'),
             apiKey: document.getElementById('apiKey'),
+            serverUrl: document.getElementById('serverUrl'),
+            enhanceTimeout: document.getElementById('enhanceTimeout'),
+            detectorBackend: document.getElementById('detectorBackend'),
             apiStatus: document.getElementById('apiStatus'),
+            providerOrder: document.getElementById('providerOrder'),
             
             // Review mode
             reviewContainer: document.getElementById('reviewContainer'),
             originalImage: document.getElementById('originalImage'),
             enhancedImage: document.getElementById('enhancedImage'),
-            imageSlider: document.getElementById('imageSlider'),
+            imageComparison: document.getElementById('imageComparison'),
             enhancementInfo: document.getElementById('enhancementInfo'),
+            enhancementError: document.getElementById('enhancementError'),
             promptText: document.getElementById('promptText'),
+            negativePromptText: document.getElementById('negativePromptText'),
             processingTime: document.getElementById('processingTime'),
             
             // Processing overlay
             processingOverlay: document.getElementById('processingOverlay'),
             processingText: document.getElementById('processingText'),
-            processingDetails: document.getElementById('processingDetails')
+            processingDetails: document.getElementById('processingDetails'),
+            
+            // Status messages
+            statusOverlay: document.getElementById('statusOverlay'),
+            statusMessage: document.getElementById('statusMessage')
         };
     }
 
@@ -114,8 +255,11 @@ class CameraApp {
         // API provider change
         this.elements.apiProvider.addEventListener('change', () => this.updateApiProvider());
         
-        // Touch handlers for swipe gestures
-        this.setupTouchHandlers();
+        // Enhancement timeout change
+        this.elements.enhanceTimeout.addEventListener('change', () => this.updateEnhanceTimeout());
+        
+        // Detector backend change
+        this.elements.detectorBackend.addEventListener('change', () => this.updateDetectorBackend());
         
         // Prevent default touch behaviors
         document.addEventListener('touchmove', (e) => {
@@ -124,236 +268,104 @@ class CameraApp {
             }
         }, { passive: false });
         
-        // Handle orientation changes
-        window.addEventListener('orientationchange', () => {
-            setTimeout(() => this.handleOrientationChange(), 500);
-        });
-    }
-
-    /**
-     * Setup touch handlers for swipe gestures
-     */
-    setupTouchHandlers() {
-        const reviewContainer = this.elements.reviewContainer;
-        const imageSlider = this.elements.imageSlider;
-        
-        reviewContainer.addEventListener('touchstart', (e) => {
-            this.touch.startX = e.touches[0].clientX;
-            this.touch.isDragging = true;
-        });
-        
-        reviewContainer.addEventListener('touchmove', (e) => {
-            if (!this.touch.isDragging) return;
-            e.preventDefault();
-            
-            this.touch.currentX = e.touches[0].clientX;
-            const deltaX = this.touch.currentX - this.touch.startX;
-            const translateX = Math.max(-50, Math.min(0, (deltaX / window.innerWidth) * 100));
-            
-            imageSlider.style.transform = `translateX(${translateX}%)`;
-        });
-        
-        reviewContainer.addEventListener('touchend', (e) => {
-            if (!this.touch.isDragging) return;
-            this.touch.isDragging = false;
-            
-            const deltaX = this.touch.currentX - this.touch.startX;
-            const threshold = window.innerWidth * 0.3;
-            
-            if (Math.abs(deltaX) > threshold) {
-                if (deltaX > 0) {
-                    // Swipe right - save original
-                    this.saveImage(this.currentOriginalImage, 'original');
-                } else {
-                    // Swipe left - save enhanced
-                    this.saveImage(this.currentEnhancedImage, 'enhanced');
-                }
-            }
-            
-            // Reset position
-            imageSlider.style.transform = 'translateX(0%)';
-        });
+        // Rotation and camera changes alter the frame size
+        this.video.addEventListener('resize', () => this.resizeToVideo());
     }
 
     /**
-     * Initialize camera when OpenCV is ready
+     * Request camera access and size the detection overlay
      */
     async initializeCamera() {
         try {
-            this.video = this.elements.videoElement;
-            this.canvas = this.elements.canvasOutput;
-            this.ctx = this.canvas.getContext('2d');
-            
-            // Request camera access
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: { 
-                    facingMode: 'environment', // Prefer back camera
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 }
-                }
-            });
-            
-            this.video.srcObject = stream;
-            this.video.play();
+            this.updateStatus('Starting camera...', true);
             
-            // Wait for video metadata
-            await new Promise((resolve) => {
-                this.video.addEventListener('loadedmetadata', resolve, { once: true });
-            });
+            await this.camera.start();
             
             // Setup canvas dimensions
-            this.canvas.width = this.video.videoWidth;
-            this.canvas.height = this.video.videoHeight;
+            this.canvas.width = this.camera.width;
+            this.canvas.height = this.camera.height;
             
-            // Initialize object detector if available
-            if (this.objectDetector) {
-                const success = this.objectDetector.initialize(
-                    this.video.videoWidth, 
-                    this.video.videoHeight
-                );
-                
-                if (success) {
-                    this.streaming = true;
-                    this.startVideoProcessing();
-                    this.updateStatus('Camera ready with AI object detection!');
-                } else {
-                    throw new Error('Failed to initialize object detector');
-                }
-            } else {
-                // Start without object detection
-                this.streaming = true;
-                this.startBasicVideoProcessing();
-                this.updateStatus('Camera ready! (Object detection unavailable)');
-            }
+            this.streaming = true;
+            this.elements.captureBtn.disabled = false;
+            this.cameraControlsView.render();
+            this.cameraSettingsView.render();
+            this.updateStatus('Camera ready! Tap to capture photos.');
             
         } catch (error) {
             console.error('Camera initialization failed:', error);
-            this.updateStatus(`Camera error: ${error.message}`);
+            this.updateStatus('Camera access denied. Please enable camera permissions.', true);
         }
     }
 
     /**
-     * Initialize basic version without OpenCV
+     * Initialize the object detector for the current video size
      */
-    async initializeBasic() {
-        try {
-            // Initialize UI elements
-            this.initializeElements();
-            
-            // Initialize image enhancer only
-            this.imageEnhancer = new ImageEnhancer();
-            this.setupImageEnhancerCallbacks();
-            
-            // Setup event listeners
-            this.setupEventListeners();
-            
-            // Load saved API configuration
-            this.loadApiConfig();
-            
-            this.updateStatus('Initializing camera (without object detection)...');
-            
-            // Initialize camera
-            await this.initializeCameraBasic();
-            
-        } catch (error) {
-            console.error('Failed to initialize basic app:', error);
-            this.updateStatus('Failed to initialize application');
+    async initializeDetection() {
+        if (!this.streaming) return;
+        
+        this.detectionEnabled = false;
+        let success = await this.objectDetector.initialize(this.camera.width, this.camera.height);
+        let message = 'Camera ready with AI object detection!';
+        
+        // Fall back to the shape heuristic when a model cannot be loaded
+        if (!success && this.objectDetector.backendName !== DEFAULT_DETECTOR) {
+            this.objectDetector.setBackend(DEFAULT_DETECTOR);
+            success = await this.objectDetector.initialize(this.camera.width, this.camera.height);
+            message = 'Detection model unavailable - using shape detection';
         }
-    }
-
-    /**
-     * Initialize camera without object detection
-     */
-    async initializeCameraBasic() {
-        try {
-            this.video = this.elements.videoElement;
-            this.canvas = this.elements.canvasOutput;
-            this.ctx = this.canvas.getContext('2d');
-            
-            // Request camera access
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: { 
-                    facingMode: 'environment',
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 }
-                }
-            });
-            
-            this.video.srcObject = stream;
-            this.video.play();
-            
-            // Wait for video metadata
-            await new Promise((resolve) => {
-                this.video.addEventListener('loadedmetadata', resolve, { once: true });
-            });
-            
-            // Setup canvas dimensions
-            this.canvas.width = this.video.videoWidth;
-            this.canvas.height = this.video.videoHeight;
-            
-            this.streaming = true;
+        
+        if (success) {
+            this.detectionEnabled = true;
+            this.startVideoProcessing();
+            this.updateStatus(message);
+        } else {
             this.startBasicVideoProcessing();
-            this.updateStatus('Camera ready! Tap to capture photos.');
-            
-        } catch (error) {
-            console.error('Basic camera initialization failed:', error);
-            this.updateStatus(`Camera error: ${error.message}`);
         }
     }
 
     /**
-     * Start basic video processing without object detection
+     * Run without object detection - the video element shows the feed directly
      */
     startBasicVideoProcessing() {
-        const processFrame = () => {
-            if (!this.streaming) return;
-            
-            try {
-                // Just display the video feed
-                this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
-                
-                // Update UI to show no object detection
-                this.elements.detectionLabels.innerHTML = '<div class="label-tag" style="background: rgba(255,165,0,0.2); border-color: #ffa500;">No object detection</div>';
-                this.elements.detectionStats.textContent = 'Object detection unavailable - photos will use general enhancement';
-                
-                // Continue processing
-                requestAnimationFrame(processFrame);
-                
-            } catch (error) {
-                console.error('Frame processing error:', error);
-                requestAnimationFrame(processFrame);
-            }
-        };
+        this.detectionEnabled = false;
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
-        processFrame();
+        // Update UI to show no object detection
+        this.elements.detectionLabels.innerHTML = '<div class="label-tag" style="background: rgba(255,165,0,0.2); border-color: #ffa500;">No object detection</div>';
+        this.elements.detectionStats.textContent = 'Object detection unavailable - photos will use general enhancement';
     }
 
     /**
-     * Start video processing loop
+     * Start the overlay loop - detection itself runs in the detector's worker
      */
     startVideoProcessing() {
+        // Only the most recently started loop keeps running
+        const loop = ++this.processingLoop;
+        let lastDetections = null;
+        
         const processFrame = () => {
-            if (!this.streaming) return;
+            if (!this.streaming || !this.detectionEnabled || loop !== this.processingLoop) return;
             
             try {
-                // Process frame with object detection
+                // Draws the latest boxes and queues a frame when the worker is free
                 const detectedObjects = this.objectDetector.processFrame(
                     this.ctx, 
                     this.video, 
                     this.canvas
                 );
                 
-                // Update UI with detection results
-                this.updateDetectionUI(detectedObjects);
-                
-                // Continue processing
-                requestAnimationFrame(processFrame);
+                // Update UI only when a new result arrived
+                if (detectedObjects !== lastDetections) {
+                    lastDetections = detectedObjects;
+                    this.updateDetectionUI(detectedObjects);
+                }
                 
             } catch (error) {
                 console.error('Frame processing error:', error);
-                // Continue processing despite errors
-                requestAnimationFrame(processFrame);
             }
+            
+            // Continue processing despite errors
+            requestAnimationFrame(processFrame);
         };
         
         processFrame();
@@ -391,60 +403,228 @@ class CameraApp {
     }
 
     /**
-     * Capture photo and start enhancement process
+     * Capture a photo or a burst, after the self-timer if one is set. A tap
+     * during the countdown cancels it.
      */
     async capturePhoto() {
         if (!this.streaming) return;
         
+        if (this.captureModeView.isCountingDown) {
+            this.captureModeView.cancelCountdown();
+            return;
+        }
+        if (this.capturing) return;
+        
+        const mode = this.captureMode;
+        if (mode.selfTimer > 0) {
+            const elapsed = await this.captureModeView.runCountdown(mode.selfTimer);
+            if (!elapsed) {
+                this.updateStatus('Self-timer cancelled');
+                return;
+            }
+            if (!this.streaming) return;
+        }
+        
+        const captureBtn = this.elements.captureBtn;
+        this.capturing = true;
+        
         try {
-            // Disable capture button during processing
-            this.elements.captureBtn.disabled = true;
+            captureBtn.classList.add('capturing');
             
-            // Capture current frame
-            const captureCanvas = document.createElement('canvas');
-            captureCanvas.width = this.video.videoWidth;
-            captureCanvas.height = this.video.videoHeight;
-            const captureCtx = captureCanvas.getContext('2d');
-            captureCtx.drawImage(this.video, 0, 0);
-            
-            this.currentOriginalImage = captureCanvas.toDataURL('image/jpeg', 0.9);
-            
-            // Get current detected objects
-            const detectedObjects = this.objectDetector.detectedObjects;
-            
-            // Update stats
-            this.stats.captureCount++;
-            
-            // Switch to review mode
-            this.showReviewMode();
-            
-            // Start enhancement process
-            const result = await this.imageEnhancer.enhanceImage(
-                this.currentOriginalImage, 
-                detectedObjects
-            );
-            
-            if (result.success) {
-                this.currentEnhancedImage = result.enhancedImageUrl;
-                this.currentPrompt = result.prompt;
-                
-                // Update processing stats
-                this.stats.totalProcessingTime += result.processingTime;
-                this.stats.averageProcessingTime = this.stats.totalProcessingTime / this.stats.captureCount;
-                
-                // Update UI with results
-                this.updateEnhancementResults(result);
+            if (mode.burst) {
+                await this.captureBurstPhotos(mode);
             } else {
-                this.handleEnhancementError(result.error);
+                await this.captureSinglePhoto();
             }
             
         } catch (error) {
             console.error('Capture failed:', error);
-            this.handleEnhancementError(error.message);
+            this.updateStatus(`Photo not saved: ${error.message}`);
         } finally {
-            // Re-enable capture button
-            this.elements.captureBtn.disabled = false;
+            this.capturing = false;
+            setTimeout(() => captureBtn.classList.remove('capturing'), 300);
+        }
+    }
+
+    /**
+     * Take one photo, store the original and queue it for enhancement
+     */
+    async captureSinglePhoto() {
+        // Objects in view at the shutter press (none in basic mode)
+        const detections = this.detectionEnabled ? [...this.objectDetector.detectedObjects] : [];
+        
+        // Dark and high-contrast scenes merge several frames
+        const mergeMode = this.captureMode.multiFrame ? chooseMergeMode(this.camera) : MergeMode.NONE;
+        let picture = null;
+        
+        if (mergeMode !== MergeMode.NONE) {
+            this.updateStatus(mergeMode === MergeMode.NIGHT ? 'Night mode' : 'HDR', true);
+            try {
+                picture = await captureMerged(this.camera, mergeMode, (message) => this.updateStatus(message, true));
+            } catch (error) {
+                console.error('Multi-frame capture failed, taking a single photo:', error);
+            }
+        }
+        
+        // Full-resolution photo where supported, else the video frame
+        if (!picture) {
+            picture = await this.camera.takePicture();
         }
+        
+        // Detections in the coordinates of the (cropped, rescaled) picture
+        const detectedObjects = this.camera.toCaptureDetections(detections, picture.scale);
+        
+        // Update stats
+        this.stats.captureCount++;
+        
+        // Store the original right away; enhancement runs in the background
+        const originalPhoto = await this.gallery.add(createOriginalRecord({
+            capture: this.camera.getCaptureSettings(picture),
+            detections: detectedObjects
+        }), picture.blob);
+        this.enhancementQueue.enqueue(originalPhoto, { style: this.stylePreset });
+        
+        const queued = this.enhancementQueue.pendingCount;
+        this.updateStatus(queued > 1
+            ? `Photo saved - ${queued} enhancements in progress`
+            : 'Photo saved - enhancing in background');
+    }
+
+    /**
+     * Take a burst and keep the sharpest frame, or the frames the user
+     * picks. Kept frames are stored as one gallery group; the sharpest of
+     * them is the group's original and the one enhanced.
+     */
+    async captureBurstPhotos(mode) {
+        const timestamp = new Date().toISOString();
+        const frames = await captureBurst(this.camera, {
+            count: mode.burstCount,
+            interval: mode.burstInterval,
+            getDetections: () => this.detectionEnabled ? this.objectDetector.detectedObjects : [],
+            onFrame: (index) => this.updateStatus(`Burst ${index + 1}/${mode.burstCount}`, true)
+        });
+        
+        this.updateStatus('Finding the sharpest frame...', true);
+        const bestIndex = await scoreFrames(frames);
+        
+        let kept = [bestIndex];
+        if (mode.burstKeep === BurstKeep.CHOOSE) {
+            this.statusView.hide();
+            kept = await this.burstPickerView.choose(frames, bestIndex);
+            if (kept.length === 0) {
+                this.updateStatus('Burst discarded');
+                return;
+            }
+        }
+        
+        // Store the selected frame first so a full disk still keeps it
+        const sharpness = (index) => frames[index].sharpness || 0;
+        const selectedIndex = kept.reduce((best, index) => sharpness(index) > sharpness(best) ? index : best);
+        const groupId = createPhotoId();
+        
+        for (const index of [selectedIndex, ...kept.filter(index => index !== selectedIndex)]) {
+            const frame = frames[index];
+            const photo = await this.gallery.add(createOriginalRecord({
+                timestamp: timestamp,
+                groupId: groupId,
+                capture: this.camera.getCaptureSettings(frame.picture),
+                detections: frame.detections,
+                burst: {
+                    index: index,
+                    count: frames.length,
+                    offsetMs: frame.offsetMs,
+                    sharpness: frame.sharpness,
+                    selected: index === selectedIndex
+                }
+            }), frame.picture.blob);
+            
+            if (index === selectedIndex) {
+                this.enhancementQueue.enqueue(photo, { style: this.stylePreset });
+            }
+        }
+        
+        this.stats.captureCount++;
+        this.updateStatus(kept.length > 1
+            ? `Burst saved - ${kept.length} frames, enhancing frame ${selectedIndex + 1}`
+            : `Frame ${selectedIndex + 1} of ${frames.length} saved - enhancing in background`);
+    }
+
+    /**
+     * React to enhancement queue changes
+     */
+    handleQueueUpdate(job) {
+        const inReview = job.photoId === this.reviewPhotoId;
+        
+        if (job.removed) {
+            if (inReview) {
+                // Cancelled from the review screen
+                this.backToCamera();
+                this.updateStatus('Enhancement cancelled. Original photo saved.');
+            }
+            return;
+        }
+        
+        if (job.status === QueueStatus.DONE) {
+            const enhanced = this.gallery.getById(job.enhancedPhotoId);
+            this.stats.totalProcessingTime += enhanced ? enhanced.enhancement.processingTime : 0;
+            this.stats.averageProcessingTime = this.stats.totalProcessingTime / this.stats.captureCount;
+            if (!inReview) {
+                this.updateStatus('Enhanced photo ready - tap to compare', false, () => this.openReview(job.photoId));
+            }
+        } else if (job.status === QueueStatus.FAILED && !inReview) {
+            this.updateStatus(`Enhancement failed: ${job.error}. Original photo kept.`);
+        }
+        
+        // Provider health may have changed
+        if (job.status === QueueStatus.DONE || job.status === QueueStatus.FAILED) {
+            this.providerOrderView.render();
+        }
+        
+        if (inReview) {
+            this.renderReview();
+        }
+    }
+
+    /**
+     * Cancel the enhancement of the photo under review
+     */
+    cancelEnhancement() {
+        if (this.reviewPhotoId !== null) {
+            this.elements.processingText.textContent = 'Cancelling...';
+            this.enhancementQueue.cancel(this.reviewPhotoId);
+        }
+    }
+
+    /**
+     * Open the review screen for an original and its latest enhanced version
+     */
+    async openReview(photoId) {
+        if (!this.gallery.getById(photoId)) return;
+        
+        this.reviewPhotoId = photoId;
+        this.currentEnhancedImage = null;
+        this.currentPrompt = null;
+        
+        try {
+            this.currentOriginalImage = await this.getReviewUrl(photoId);
+        } catch (error) {
+            console.error('Failed to open review:', error);
+            this.reviewPhotoId = null;
+            this.updateStatus('Failed to load photo');
+            return;
+        }
+        
+        this.showReviewMode();
+        this.renderReview();
+    }
+
+    /**
+     * Object URL for a photo shown in review, released on leaving review
+     */
+    async getReviewUrl(photoId) {
+        const url = await this.gallery.getObjectUrl(photoId);
+        this.reviewUrls.push(url);
+        return url;
     }
 
     /**
@@ -453,8 +633,45 @@ class CameraApp {
     showReviewMode() {
         this.elements.cameraView.style.display = 'none';
         this.elements.reviewContainer.classList.add('active');
-        this.elements.originalImage.src = this.currentOriginalImage;
-        this.elements.processingOverlay.classList.add('active');
+        this.comparisonSlider.setImages(this.currentOriginalImage, null);
+        this.elements.enhancementError.textContent = '';
+        this.showReviewPrompt(null);
+        this.elements.processingTime.textContent = '';
+    }
+
+    /**
+     * Show the queue state or latest enhanced version of the photo under review
+     */
+    async renderReview() {
+        const photoId = this.reviewPhotoId;
+        const job = this.enhancementQueue.getJob(photoId);
+        
+        if (job && (job.status === QueueStatus.PENDING || job.status === QueueStatus.PROCESSING)) {
+            this.elements.processingOverlay.classList.add('active');
+            this.elements.processingText.textContent = job.message;
+            this.elements.processingDetails.textContent = `${job.progress}% complete`;
+            return;
+        }
+        
+        if (job && job.status === QueueStatus.FAILED) {
+            this.handleEnhancementError(job.error);
+            this.showReviewPrompt(job.prompt);
+            return;
+        }
+        
+        const original = this.gallery.getById(photoId);
+        if (!original) return;
+        
+        const group = this.gallery.getGroup(original.groupId);
+        const enhanced = group.versions[group.versions.length - 1];
+        if (!enhanced) {
+            this.handleEnhancementError('no enhanced version');
+            return;
+        }
+        
+        const enhancedImageUrl = await this.getReviewUrl(enhanced.id);
+        if (this.reviewPhotoId !== photoId) return;
+        this.updateEnhancementResults({ ...enhanced.enhancement, enhancedImageUrl });
     }
 
     /**
@@ -465,14 +682,20 @@ class CameraApp {
         this.elements.processingOverlay.classList.remove('active');
         
         // Update enhanced image
-        this.elements.enhancedImage.src = result.enhancedImageUrl;
+        this.currentEnhancedImage = result.enhancedImageUrl;
+        this.currentPrompt = result.prompt;
+        this.comparisonSlider.setImages(this.currentOriginalImage, result.enhancedImageUrl);
         
         // Update enhancement info
-        this.elements.promptText.textContent = result.prompt;
-        this.elements.processingTime.textContent = `${result.processingTime}ms (${result.method})`;
+        this.elements.enhancementError.textContent = '';
+        this.showReviewPrompt(result);
+        // Records upgraded from older versions may lack timing details
+        this.elements.processingTime.textContent = result.processingTime
+            ? `${result.processingTime}ms (${result.method})`
+            : result.method || '';
         
         // Show completion message
-        this.updateStatus('Enhancement complete! Swipe to choose version.');
+        this.updateStatus('Enhancement complete! Drag to compare.');
     }
 
     /**
@@ -482,23 +705,72 @@ class CameraApp {
         this.elements.processingOverlay.classList.remove('active');
         
         // Show error in UI
-        this.elements.enhancementInfo.innerHTML = `
-            <div style="color: #ff6b6b;">
-                Enhancement failed: ${errorMessage}
-            </div>
-        `;
+        this.elements.enhancementError.textContent = `Enhancement failed: ${errorMessage}`;
         
-        // Hide enhanced image panel or show placeholder
-        this.elements.enhancedImage.src = this.currentOriginalImage;
-        this.elements.promptText.textContent = 'Enhancement failed - showing original';
+        // Compare the original against itself
+        this.comparisonSlider.setImages(this.currentOriginalImage, this.currentOriginalImage);
+        this.currentEnhancedImage = this.currentOriginalImage;
+        this.showReviewPrompt(null);
+        this.elements.processingTime.textContent = 'Showing the original';
         
-        this.updateStatus('Enhancement failed. You can still save the original image.');
+        this.updateStatus('Enhancement failed. Original photo saved to gallery.');
+    }
+
+    /**
+     * Fill the review prompt editor from a `{ prompt, negativePrompt }` pair
+     */
+    showReviewPrompt(prompts) {
+        this.elements.promptText.value = prompts && prompts.prompt ? prompts.prompt : '';
+        this.elements.negativePromptText.value = prompts && prompts.negativePrompt ? prompts.negativePrompt : '';
+    }
+
+    /**
+     * Enhance the photo under review again with the edited prompt. The
+     * result is added as a new version; an empty prompt uses the templates.
+     */
+    rerunEnhancement() {
+        const photo = this.gallery.getById(this.reviewPhotoId);
+        if (!photo) return;
+        
+        const status = this.enhancementQueue.getStatus(photo.id);
+        if (status === QueueStatus.PENDING || status === QueueStatus.PROCESSING) return;
+        
+        const prompt = this.elements.promptText.value.trim();
+        const negativePrompt = this.elements.negativePromptText.value.trim();
+        this.enhancementQueue.enqueue(photo, {
+            style: this.stylePreset,
+            prompt: prompt ? { prompt, negativePrompt } : null
+        });
+        this.updateStatus('Enhancing again - the result is kept as a new version');
+    }
+
+    /**
+     * Offer to undo a delete right after it happened
+     */
+    showUndoDelete(group) {
+        const count = group.photos.length;
+        const message = count > 1 ? `${count} photos moved to Recently Deleted` : 'Photo moved to Recently Deleted';
+        
+        this.snackbarView.show(message, {
+            actionLabel: 'Undo',
+            onAction: async () => {
+                try {
+                    await this.gallery.restoreGroup(group.groupId);
+                    this.updateStatus('Photo restored');
+                } catch (error) {
+                    console.error('Undo delete failed:', error);
+                    this.updateStatus('Failed to restore photo - it is still in Recently Deleted');
+                }
+            }
+        });
     }
 
     /**
      * Save image to device
      */
     saveImage(imageDataUrl, type) {
+        if (!imageDataUrl) return;
+        
         try {
             const link = document.createElement('a');
             link.download = `ai-camera-${type}-${Date.now()}.jpg`;
@@ -509,11 +781,6 @@ class CameraApp {
             
             this.updateStatus(`${type.charAt(0).toUpperCase() + type.slice(1)} image saved!`);
             
-            // Return to camera after short delay
-            setTimeout(() => {
-                this.backToCamera();
-            }, 1000);
-            
         } catch (error) {
             console.error('Save failed:', error);
             this.updateStatus('Failed to save image');
@@ -521,17 +788,21 @@ class CameraApp {
     }
 
     /**
-     * Return to camera view
+     * Return to camera view. Enhancement keeps running in the background.
      */
     backToCamera() {
+        this.reviewPhotoId = null;
+        
         this.elements.reviewContainer.classList.remove('active');
-        this.elements.cameraView.style.display = 'block';
+        this.elements.cameraView.style.display = '';
         this.elements.processingOverlay.classList.remove('active');
         
-        // Reset image slider position
-        this.elements.imageSlider.style.transform = 'translateX(0%)';
+        // Reset split and zoom
+        this.comparisonSlider.reset();
         
         // Clear current images
+        this.reviewUrls.forEach(url => URL.revokeObjectURL(url));
+        this.reviewUrls = [];
         this.currentOriginalImage = null;
         this.currentEnhancedImage = null;
         this.currentPrompt = null;
@@ -543,21 +814,8 @@ class CameraApp {
      * Setup image enhancer callbacks
      */
     setupImageEnhancerCallbacks() {
+        // Progress is reported per job through the enhancement queue
         this.imageEnhancer.setCallbacks({
-            onStart: () => {
-                this.elements.processingText.textContent = 'Starting AI enhancement...';
-                this.elements.processingDetails.textContent = '';
-            },
-            
-            onUpdate: (message, progress) => {
-                this.elements.processingText.textContent = message;
-                this.elements.processingDetails.textContent = `${progress}% complete`;
-            },
-            
-            onComplete: (enhancedImageUrl, prompt, processingTime) => {
-                // Handled in updateEnhancementResults
-            },
-            
             onError: (error) => {
                 console.error('Enhancement error:', error);
             }
@@ -570,22 +828,29 @@ class CameraApp {
     saveApiConfig() {
         const provider = this.elements.apiProvider.value;
         const apiKey = this.elements.apiKey.value;
+        const serverUrl = this.elements.serverUrl.value.trim() || DEFAULT_SERVER_URL;
         
-        if (apiKey.trim() === '') {
+        // The local server and canvas providers do not need a key
+        if (apiKey.trim() === '' && provider !== 'local' && provider !== 'server') {
             this.updateApiStatus('No API key provided - using demo mode');
             return;
         }
         
         // Configure image enhancer
-        const success = this.imageEnhancer.configure(provider, apiKey);
+        const success = this.imageEnhancer.configure(provider, apiKey, { serverUrl });
         
         if (success) {
             // Save to local storage
+            const apiKeys = this.loadApiKeys();
+            apiKeys[provider] = apiKey.trim();
             localStorage.setItem('ai-camera-api-provider', provider);
-            localStorage.setItem('ai-camera-api-key', apiKey);
+            localStorage.setItem('ai-camera-api-keys', JSON.stringify(apiKeys));
+            if (provider === 'server') {
+                localStorage.setItem('ai-camera-server-url', serverUrl);
+            }
             
             this.updateApiStatus(`${provider} API configured successfully`);
-            this.elements.apiConfig.style.display = 'none';
+            this.providerOrderView.render();
             
             // Test API configuration
             this.testApiConfiguration();
@@ -606,6 +871,32 @@ class CameraApp {
         } catch (error) {
             this.updateApiStatus(`API test failed: ${error.message}`);
         }
+        
+        this.providerOrderView.render();
+    }
+
+    /**
+     * Load saved API keys, migrating the single-key format
+     */
+    loadApiKeys() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('ai-camera-api-keys'));
+            if (saved && typeof saved === 'object') {
+                return saved;
+            }
+        } catch (error) {
+            console.warn('Ignoring corrupted API key storage');
+        }
+        
+        const legacyKey = localStorage.getItem('ai-camera-api-key');
+        if (legacyKey) {
+            const provider = localStorage.getItem('ai-camera-api-provider') || 'huggingface';
+            localStorage.removeItem('ai-camera-api-key');
+            localStorage.setItem('ai-camera-api-keys', JSON.stringify({ [provider]: legacyKey }));
+            return { [provider]: legacyKey };
+        }
+        
+        return {};
     }
 
     /**
@@ -613,20 +904,52 @@ class CameraApp {
      */
     loadApiConfig() {
         const savedProvider = localStorage.getItem('ai-camera-api-provider');
-        const savedApiKey = localStorage.getItem('ai-camera-api-key');
+        const apiKeys = this.loadApiKeys();
+        
+        try {
+            const savedOrder = JSON.parse(localStorage.getItem('ai-camera-provider-order'));
+            if (Array.isArray(savedOrder)) {
+                this.imageEnhancer.setProviderOrder(savedOrder);
+            }
+        } catch (error) {
+            console.warn('Ignoring corrupted provider order');
+        }
+        
+        Object.entries(apiKeys).forEach(([provider, apiKey]) => {
+            this.imageEnhancer.configure(provider, apiKey);
+        });
+        
+        const savedTimeout = Number(localStorage.getItem('ai-camera-enhance-timeout'));
+        if (savedTimeout > 0) {
+            this.imageEnhancer.timeoutMs = savedTimeout * 1000;
+        }
+        this.elements.enhanceTimeout.value = Math.round(this.imageEnhancer.timeoutMs / 1000);
+        
+        const savedServerUrl = localStorage.getItem('ai-camera-server-url');
+        if (savedServerUrl) {
+            this.elements.serverUrl.value = savedServerUrl;
+            this.imageEnhancer.configure('server', apiKeys.server, { serverUrl: savedServerUrl });
+        }
         
         if (savedProvider) {
             this.elements.apiProvider.value = savedProvider;
+            this.imageEnhancer.provider = savedProvider;
         }
+        this.updateServerUrlVisibility();
         
-        if (savedApiKey) {
-            this.elements.apiKey.value = savedApiKey;
-            this.imageEnhancer.configure(savedProvider || 'huggingface', savedApiKey);
-            this.updateApiStatus(`${savedProvider || 'huggingface'} API loaded from storage`);
+        const configured = Object.keys(apiKeys).filter(provider => apiKeys[provider]);
+        if (savedServerUrl) {
+            configured.push('server');
+        }
+        if (configured.length > 0) {
+            this.elements.apiKey.value = apiKeys[this.elements.apiProvider.value] || '';
+            this.updateApiStatus(`${configured.join(', ')} API loaded from storage`);
             this.elements.apiConfig.style.display = 'none';
         } else {
             this.updateApiStatus('No API configured - using demo mode');
         }
+        
+        this.providerOrderView.render();
     }
 
     /**
@@ -634,35 +957,386 @@ class CameraApp {
      */
     updateApiProvider() {
         const provider = this.elements.apiProvider.value;
-        const apiKey = this.elements.apiKey.value;
         
-        if (apiKey) {
-            this.imageEnhancer.configure(provider, apiKey);
-            localStorage.setItem('ai-camera-api-provider', provider);
-            this.updateApiStatus(`Switched to ${provider} API`);
+        // Show the key stored for the newly selected provider
+        this.elements.apiKey.value = this.loadApiKeys()[provider] || '';
+        this.imageEnhancer.provider = provider;
+        this.updateServerUrlVisibility();
+        localStorage.setItem('ai-camera-api-provider', provider);
+        this.updateApiStatus(`Switched to ${provider} API`);
+    }
+
+    /**
+     * Only the local server provider uses the server URL field
+     */
+    updateServerUrlVisibility() {
+        const isServer = this.elements.apiProvider.value === 'server';
+        this.elements.serverUrl.classList.toggle('hidden', !isServer);
+        this.elements.apiKey.placeholder = isServer ? 'Access token (optional)' : 'API key';
+    }
+
+    /**
+     * Apply and persist the enhancement timeout (seconds)
+     */
+    updateEnhanceTimeout() {
+        const seconds = Math.round(Number(this.elements.enhanceTimeout.value));
+        
+        if (!Number.isFinite(seconds) || seconds < 5) {
+            this.elements.enhanceTimeout.value = Math.round(this.imageEnhancer.timeoutMs / 1000);
+            this.updateApiStatus('Timeout must be at least 5 seconds');
+            return;
+        }
+        
+        this.imageEnhancer.timeoutMs = seconds * 1000;
+        localStorage.setItem('ai-camera-enhance-timeout', seconds);
+        this.updateApiStatus(`Enhancement timeout set to ${seconds}s`);
+    }
+
+    /**
+     * Apply and persist the detector backend, restarting detection with it
+     */
+    async updateDetectorBackend() {
+        const backendName = this.elements.detectorBackend.value;
+        
+        this.objectDetector.setBackend(backendName);
+        localStorage.setItem('ai-camera-detector', backendName);
+        
+        if (!this.streaming) return;
+        
+        this.updateStatus('Loading object detector...', true);
+        await this.initializeDetection();
+    }
+
+    /**
+     * Load the saved detector profile and the tuning stored for each profile
+     */
+    loadDetectorConfig() {
+        const savedProfile = localStorage.getItem('ai-camera-detector-profile');
+        this.detectorProfile = DETECTOR_PROFILES[savedProfile] ? savedProfile : DEFAULT_PROFILE;
+        
+        try {
+            const savedTuning = JSON.parse(localStorage.getItem('ai-camera-detector-tuning'));
+            if (savedTuning && typeof savedTuning === 'object') {
+                this.detectorTuning = savedTuning;
+            }
+        } catch (error) {
+            console.warn('Ignoring corrupted detector tuning');
+        }
+        
+        this.applyDetectorConfig();
+        this.detectorTuningView.render(this.detectorProfile, this.objectDetector.config, this.isDetectorProfileTuned());
+    }
+
+    applyDetectorConfig() {
+        this.objectDetector.configure(
+            createDetectorConfig(this.detectorProfile, this.detectorTuning[this.detectorProfile])
+        );
+    }
+
+    isDetectorProfileTuned() {
+        return Object.keys(this.detectorTuning[this.detectorProfile] || {}).length > 0;
+    }
+
+    /**
+     * Switch to another named profile, keeping its own tuning
+     */
+    updateDetectorProfile(profileName) {
+        this.detectorProfile = profileName;
+        localStorage.setItem('ai-camera-detector-profile', profileName);
+        this.applyDetectorConfig();
+        this.detectorTuningView.render(this.detectorProfile, this.objectDetector.config, this.isDetectorProfileTuned());
+    }
+
+    /**
+     * Apply and persist one tuned parameter of the current profile
+     */
+    updateDetectorParameter(key, value) {
+        this.detectorTuning[this.detectorProfile] = {
+            ...this.detectorTuning[this.detectorProfile],
+            [key]: value
+        };
+        localStorage.setItem('ai-camera-detector-tuning', JSON.stringify(this.detectorTuning));
+        this.applyDetectorConfig();
+        this.detectorTuningView.setCustomized(true);
+    }
+
+    /**
+     * Drop the tuning of the current profile
+     */
+    resetDetectorProfile() {
+        delete this.detectorTuning[this.detectorProfile];
+        localStorage.setItem('ai-camera-detector-tuning', JSON.stringify(this.detectorTuning));
+        this.applyDetectorConfig();
+        this.detectorTuningView.render(this.detectorProfile, this.objectDetector.config, false);
+    }
+
+    /**
+     * Load the saved local enhancement parameters
+     */
+    loadPipelineSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('ai-camera-local-pipeline'));
+            if (saved && typeof saved === 'object') {
+                this.pipelineTuning = saved;
+            }
+        } catch (error) {
+            console.warn('Ignoring corrupted local enhancement settings');
+        }
+        
+        this.applyPipelineSettings();
+    }
+
+    applyPipelineSettings() {
+        const settings = createPipelineSettings(this.pipelineTuning);
+        this.imageEnhancer.setPipelineSettings(settings);
+        this.pipelineSettingsView.render(settings, Object.keys(this.pipelineTuning).length > 0);
+    }
+
+    /**
+     * Apply and persist one local enhancement parameter
+     */
+    updatePipelineParameter(key, value) {
+        this.pipelineTuning = { ...this.pipelineTuning, [key]: value };
+        localStorage.setItem('ai-camera-local-pipeline', JSON.stringify(this.pipelineTuning));
+        this.applyPipelineSettings();
+    }
+
+    /**
+     * Go back to the default local enhancement parameters
+     */
+    resetPipelineSettings() {
+        this.pipelineTuning = {};
+        localStorage.removeItem('ai-camera-local-pipeline');
+        this.applyPipelineSettings();
+        this.updateApiStatus('Local enhancement reset to defaults');
+    }
+
+    /**
+     * Load the saved prompt templates
+     */
+    loadPromptSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('ai-camera-prompt-templates'));
+            if (saved && typeof saved === 'object') {
+                this.promptTemplates = saved;
+            }
+        } catch (error) {
+            console.warn('Ignoring corrupted prompt templates');
+        }
+        
+        this.imageEnhancer.promptBuilder.setTemplates(this.promptTemplates);
+        this.promptTemplateView.render(Object.keys(this.promptTemplates));
+    }
+
+    /**
+     * Load the style preset chosen for new captures
+     */
+    loadStylePreset() {
+        const saved = localStorage.getItem('ai-camera-style-preset');
+        this.applyStylePreset(STYLE_PRESETS[saved] ? saved : DEFAULT_STYLE_PRESET);
+    }
+
+    updateStylePreset(name) {
+        this.applyStylePreset(name);
+        localStorage.setItem('ai-camera-style-preset', this.stylePreset);
+        this.updateStatus(`Style: ${getStylePreset(this.stylePreset).label}`);
+    }
+
+    /**
+     * Template previews follow the preset's prompt style
+     */
+    applyStylePreset(name) {
+        this.stylePreset = STYLE_PRESETS[name] ? name : DEFAULT_STYLE_PRESET;
+        this.imageEnhancer.promptBuilder.setStyle(getStylePreset(this.stylePreset).promptStyle);
+        this.stylePresetView.render(this.stylePreset);
+        this.promptTemplateView.render(Object.keys(this.promptTemplates));
+    }
+
+    /**
+     * Apply and persist an edited template for one provider
+     */
+    savePromptTemplate(provider, template) {
+        this.promptTemplates = { ...this.promptTemplates, [provider]: template };
+        this.storePromptTemplates();
+        this.updateApiStatus('Prompt template saved');
+    }
+
+    resetPromptTemplate(provider) {
+        delete this.promptTemplates[provider];
+        this.storePromptTemplates();
+        this.updateApiStatus('Prompt template reset to default');
+    }
+
+    storePromptTemplates() {
+        localStorage.setItem('ai-camera-prompt-templates', JSON.stringify(this.promptTemplates));
+        this.imageEnhancer.promptBuilder.setTemplates(this.promptTemplates);
+        this.promptTemplateView.render(Object.keys(this.promptTemplates));
+    }
+
+    /**
+     * What the camera sees now, for previewing templates
+     */
+    getPromptPreviewPhoto() {
+        const detectedObjects = this.detectionEnabled ? [...this.objectDetector.detectedObjects] : [];
+        return {
+            sceneDescription: this.imageEnhancer.describeScene(detectedObjects),
+            detectedObjects: detectedObjects,
+            capturedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Persist a new provider fallback order
+     */
+    updateProviderOrder(order) {
+        this.imageEnhancer.setProviderOrder(order);
+        localStorage.setItem('ai-camera-provider-order', JSON.stringify(this.imageEnhancer.getProviderOrder()));
+        this.providerOrderView.render();
+    }
+
+    /**
+     * Load the saved camera, resolution and aspect ratio
+     */
+    loadCameraSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('ai-camera-camera-settings'));
+            this.camera.configure({ ...DEFAULT_CAMERA_SETTINGS, ...saved });
+        } catch (error) {
+            console.warn('Ignoring corrupted camera settings');
+        }
+    }
+
+    saveCameraSettings() {
+        localStorage.setItem('ai-camera-camera-settings', JSON.stringify(this.camera.settings));
+    }
+
+    /**
+     * Load the saved self-timer and burst settings
+     */
+    loadCaptureMode() {
+        try {
+            this.captureMode = createCaptureMode(JSON.parse(localStorage.getItem('ai-camera-capture-mode')));
+        } catch (error) {
+            console.warn('Ignoring corrupted capture mode');
         }
+        this.captureModeView.render(this.captureMode);
     }
 
     /**
-     * Handle orientation changes
+     * Apply and persist a change to the self-timer or burst settings
      */
-    handleOrientationChange() {
-        if (this.streaming && this.video && this.canvas) {
-            // Adjust canvas size
-            this.canvas.width = this.video.videoWidth;
-            this.canvas.height = this.video.videoHeight;
+    updateCaptureMode(changes) {
+        this.captureMode = createCaptureMode({ ...this.captureMode, ...changes });
+        localStorage.setItem('ai-camera-capture-mode', JSON.stringify(this.captureMode));
+        this.captureModeView.render(this.captureMode);
+        
+        if ('selfTimer' in changes) {
+            this.updateStatus(this.captureMode.selfTimer > 0 ? `Self-timer ${this.captureMode.selfTimer}s` : 'Self-timer off');
+        } else if ('burst' in changes) {
+            this.updateStatus(this.captureMode.burst ? `Burst mode - ${this.captureMode.burstCount} frames` : 'Burst mode off');
+        }
+    }
+
+    /**
+     * Apply and persist settings picked in the settings panel
+     */
+    async updateCameraSettings(settings) {
+        const requestedDevice = settings.deviceId;
+        
+        await this.restartCamera(() => this.camera.restart(settings));
+        
+        if (requestedDevice && this.camera.deviceId !== requestedDevice) {
+            this.updateStatus('Selected camera unavailable - using default camera');
+        }
+    }
+
+    /**
+     * Switch between front and back cameras
+     */
+    async switchCamera() {
+        await this.restartCamera(() => this.camera.switchCamera());
+    }
+
+    /**
+     * Run a camera restart, then bring the overlay, detector and controls
+     * up to date with the new stream
+     */
+    async restartCamera(restart) {
+        this.streaming = false;
+        this.elements.captureBtn.disabled = true;
+        
+        try {
+            await restart();
+        } catch (error) {
+            console.error('Camera restart failed:', error);
+            this.updateStatus(`Camera error: ${error.message}`);
+            return;
+        } finally {
+            this.saveCameraSettings();
+        }
+        
+        this.streaming = true;
+        this.elements.captureBtn.disabled = false;
+        this.cameraControlsView.render();
+        this.cameraSettingsView.render();
+        await this.resizeToVideo(true);
+    }
+
+    /**
+     * Match the overlay canvas and the detector to the video frame size.
+     * Without `force` nothing happens unless the size changed.
+     */
+    async resizeToVideo(force = false) {
+        const { width, height } = this.camera;
+        if (!this.streaming || !width || !height) return;
+        
+        this.cameraSettingsView.renderCropGuide();
+        
+        const resized = this.canvas.width !== width || this.canvas.height !== height;
+        if (!resized && !force) return;
+        
+        this.canvas.width = width;
+        this.canvas.height = height;
+        
+        // Restarts the overlay loop, which stopped with the old stream
+        if (this.detectionEnabled || force) {
+            await this.initializeDetection();
+        }
+    }
+
+    /**
+     * Toggle the torch, or the simulated flash on devices without one
+     */
+    async toggleFlash() {
+        try {
+            const enabled = await this.camera.toggleFlash();
+            this.cameraControlsView.render();
             
-            // Reinitialize object detector if needed
-            this.objectDetector.initialize(this.video.videoWidth, this.video.videoHeight);
+            if (this.camera.supports('torch')) {
+                this.updateStatus(enabled ? 'Torch on' : 'Torch off');
+            } else {
+                this.updateStatus(enabled ? 'Flash enabled (simulated)' : 'Flash disabled');
+            }
+        } catch (error) {
+            console.error('Torch toggle failed:', error);
+            this.updateStatus('Could not switch the torch');
         }
     }
 
+    /**
+     * Show or hide the API configuration panel
+     */
+    toggleSettings() {
+        const panel = this.elements.apiConfig;
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        this.providerOrderView.render();
+    }
+
     /**
      * Update status message
      */
-    updateStatus(message) {
-        this.elements.statusBar.textContent = message;
-        console.log('Status:', message);
+    updateStatus(message, persistent = false, onTap = null) {
+        this.statusView.show(message, persistent, onTap);
     }
 
     /**
@@ -689,12 +1363,12 @@ class CameraApp {
      */
     cleanup() {
         // Stop video stream
-        if (this.video && this.video.srcObject) {
-            this.video.srcObject.getTracks().forEach(track => track.stop());
+        if (this.camera) {
+            this.camera.stop();
         }
         
         // Cleanup object detector
-        if (this.objectDetector) {
+        if (this.detectionEnabled) {
             this.objectDetector.cleanup();
         }
         
@@ -703,38 +1377,49 @@ class CameraApp {
 }
 
 // Global functions for HTML onclick handlers
-window.saveApiConfig = function() {
-    if (window.cameraApp) {
-        window.cameraApp.saveApiConfig();
-    }
-};
-
-window.capturePhoto = function() {
-    if (window.cameraApp) {
-        window.cameraApp.capturePhoto();
-    }
+const handlers = {
+    saveApiConfig: (app) => app.saveApiConfig(),
+    capturePhoto: (app) => app.capturePhoto(),
+    backToCamera: (app) => app.backToCamera(),
+    cancelEnhancement: (app) => app.cancelEnhancement(),
+    switchCamera: (app) => app.switchCamera(),
+    toggleFlash: (app) => app.toggleFlash(),
+    openSettings: (app) => app.toggleSettings(),
+    toggleDetectorPanel: (app) => app.detectorTuningView.toggle(),
+    togglePromptPanel: (app) => app.promptTemplateView.toggle(),
+    rerunEnhancement: (app) => app.rerunEnhancement(),
+    openGallery: (app) => app.galleryView.open(),
+    closeGallery: (app) => app.galleryView.close(),
+    closeViewer: (app) => app.photoViewer.close(),
+    sharePhoto: (app) => app.photoViewer.share(),
+    downloadPhoto: (app) => app.photoViewer.download(),
+    deletePhoto: (app) => app.photoViewer.delete(),
+    openRecentlyDeleted: (app) => app.recentlyDeletedView.open(),
+    closeRecentlyDeleted: (app) => app.recentlyDeletedView.close(),
+    comparePhoto: (app) => app.photoViewer.compare(),
+    retryEnhancement: (app) => app.photoViewer.retry(),
+    reenhancePhoto: (app) => app.photoViewer.reenhance(),
+    editPhoto: (app) => app.photoViewer.edit(),
+    saveReviewImage: (app, type) => app.saveImage(
+        type === 'original' ? app.currentOriginalImage : app.currentEnhancedImage,
+        type
+    )
 };
 
-window.backToCamera = function() {
-    if (window.cameraApp) {
-        window.cameraApp.backToCamera();
-    }
-};
+Object.entries(handlers).forEach(([name, handler]) => {
+    window[name] = function(...args) {
+        if (window.cameraApp) {
+            handler(window.cameraApp, ...args);
+        }
+    };
+});
 
-// Initialize app when OpenCV is ready
-window.onOpenCvReady = function() {
-    console.log('OpenCV.js is ready');
-    
-    // Create and initialize app
+// Create and start the app; detection is added once OpenCV.js has loaded
+document.addEventListener('DOMContentLoaded', async () => {
     window.cameraApp = new CameraApp();
-    window.cameraApp.initialize();
-    
-    // Hide loading text
-    document.getElementById('loadingText').style.display = 'none';
-    
-    // Initialize camera
-    window.cameraApp.initializeCamera();
-};
+    await window.cameraApp.initialize();
+    window.cameraApp.start();
+});
 
 // Handle page unload
 window.addEventListener('beforeunload', () => {
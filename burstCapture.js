@@ -0,0 +1,98 @@
+/**
+ * Burst Capture
+ * Takes a run of frames at a fixed interval and scores each for sharpness
+ * (variance of the Laplacian) so the best one can be picked
+ */
+
+import { loadOpenCv } from './opencvLoader.js';
+
+// Frames are scored at a common size so scores compare across resolutions
+const SHARPNESS_SIDE = 640;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Take `count` frames `interval` ms apart. Bursts use video frames rather
+ * than ImageCapture photos, which take too long to keep the interval.
+ * `getDetections` is read at each frame; `onFrame(index)` reports progress.
+ */
+export async function captureBurst(camera, { count, interval, getDetections = () => [], onFrame = () => {} }) {
+    const frames = [];
+    const start = performance.now();
+
+    for (let index = 0; index < count; index++) {
+        // Keep to the schedule even when encoding a frame runs long
+        const wait = start + index * interval - performance.now();
+        if (wait > 0) await sleep(wait);
+
+        const detections = [...getDetections()];
+        const picture = await camera.grabFrame();
+        frames.push({
+            index,
+            offsetMs: Math.round(performance.now() - start),
+            picture,
+            detections: camera.toCaptureDetections(detections, picture.scale),
+            sharpness: null
+        });
+        onFrame(index);
+    }
+
+    return frames;
+}
+
+/**
+ * Score every frame. Returns the index of the sharpest frame, or 0 when
+ * OpenCV is unavailable and the frames could not be scored.
+ */
+export async function scoreFrames(frames) {
+    if (!await loadOpenCv()) {
+        console.warn('OpenCV.js unavailable - burst frames are not scored');
+        return 0;
+    }
+
+    for (const frame of frames) {
+        try {
+            frame.sharpness = await measureSharpness(frame.picture.blob);
+        } catch (error) {
+            console.warn(`Could not score burst frame ${frame.index + 1}:`, error);
+        }
+    }
+
+    return frames.reduce((best, frame) =>
+        (frame.sharpness || 0) > (frames[best].sharpness || 0) ? frame.index : best, 0);
+}
+
+/**
+ * Variance of the Laplacian of the grayscale image - higher is sharper
+ */
+export async function measureSharpness(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, SHARPNESS_SIDE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const cv = self.cv;
+    const src = cv.matFromImageData(ctx.getImageData(0, 0, canvas.width, canvas.height));
+    const gray = new cv.Mat();
+    const laplacian = new cv.Mat();
+    const mean = new cv.Mat();
+    const stddev = new cv.Mat();
+
+    try {
+        cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+        cv.Laplacian(gray, laplacian, cv.CV_64F);
+        cv.meanStdDev(laplacian, mean, stddev);
+        const deviation = stddev.doubleAt(0, 0);
+        return deviation * deviation;
+    } finally {
+        src.delete();
+        gray.delete();
+        laplacian.delete();
+        mean.delete();
+        stddev.delete();
+    }
+}
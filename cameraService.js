@@ -0,0 +1,532 @@
+/**
+ * Camera Service
+ * Owns the MediaStream: camera access, device and resolution selection,
+ * frame capture and the track's hardware controls (torch, zoom, focus,
+ * exposure, white balance)
+ */
+
+/**
+ * Resolutions offered in settings, by the short side of the frame
+ */
+export const RESOLUTIONS = {
+    '480p': { label: '480p', size: 480 },
+    '720p': { label: '720p (HD)', size: 720 },
+    '1080p': { label: '1080p (Full HD)', size: 1080 },
+    '2160p': { label: '2160p (4K)', size: 2160 }
+};
+
+export const ASPECT_RATIOS = {
+    '4:3': { label: '4:3', ratio: 4 / 3 },
+    '16:9': { label: '16:9', ratio: 16 / 9 },
+    '1:1': { label: '1:1 (square)', ratio: 1 }
+};
+
+export const DEFAULT_CAMERA_SETTINGS = {
+    deviceId: '',
+    facingMode: 'environment',
+    resolution: '720p',
+    aspectRatio: '16:9'
+};
+
+// Frames within this fraction of the requested ratio are not cropped
+const ASPECT_TOLERANCE = 0.02;
+
+export class CameraService {
+    constructor(videoElement) {
+        this.video = videoElement;
+        this.stream = null;
+        this.deviceId = DEFAULT_CAMERA_SETTINGS.deviceId; // '' picks by facingMode
+        this.facingMode = DEFAULT_CAMERA_SETTINGS.facingMode; // 'user' or 'environment'
+        this.resolution = DEFAULT_CAMERA_SETTINGS.resolution;
+        this.aspectRatio = DEFAULT_CAMERA_SETTINGS.aspectRatio;
+        this.flashMode = false;
+        
+        // Video track and what it supports; empty where getCapabilities is missing
+        this.track = null;
+        this.capabilities = {};
+        this.zoom = 1;
+
+        // Full-resolution stills, where ImageCapture exists
+        this.imageCapture = null;
+        this.photoCapabilities = null;
+    }
+
+    get isActive() {
+        return this.stream !== null;
+    }
+
+    get width() {
+        return this.video.videoWidth;
+    }
+
+    get height() {
+        return this.video.videoHeight;
+    }
+
+    /**
+     * Device, resolution and aspect ratio, as persisted by the app
+     */
+    get settings() {
+        return {
+            deviceId: this.deviceId,
+            facingMode: this.facingMode,
+            resolution: this.resolution,
+            aspectRatio: this.aspectRatio
+        };
+    }
+
+    /**
+     * Take new settings, ignoring unknown values; applies on the next start()
+     */
+    configure(settings = {}) {
+        if (typeof settings.deviceId === 'string') {
+            this.deviceId = settings.deviceId;
+        }
+        if (settings.facingMode === 'user' || settings.facingMode === 'environment') {
+            this.facingMode = settings.facingMode;
+        }
+        if (RESOLUTIONS[settings.resolution]) {
+            this.resolution = settings.resolution;
+        }
+        if (ASPECT_RATIOS[settings.aspectRatio]) {
+            this.aspectRatio = settings.aspectRatio;
+        }
+    }
+
+    /**
+     * Video inputs, including external webcams. Labels are empty until the
+     * user has granted camera access.
+     */
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput' && device.deviceId)
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Camera ${index + 1}`
+            }));
+    }
+
+    /**
+     * Constraints for the selected device and landscape frame size
+     */
+    getVideoConstraints() {
+        const size = RESOLUTIONS[this.resolution].size;
+        const ratio = ASPECT_RATIOS[this.aspectRatio].ratio;
+        const constraints = {
+            width: { ideal: Math.round(size * ratio) },
+            height: { ideal: size },
+            aspectRatio: { ideal: ratio }
+        };
+
+        if (this.deviceId) {
+            constraints.deviceId = { exact: this.deviceId };
+        } else {
+            constraints.facingMode = this.facingMode;
+        }
+        return constraints;
+    }
+
+    /**
+     * Request camera access and wait until video metadata is available.
+     * A selected device that has gone away falls back to facingMode.
+     */
+    async start() {
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({ video: this.getVideoConstraints() });
+        } catch (error) {
+            const missing = error.name === 'OverconstrainedError' || error.name === 'NotFoundError';
+            if (!this.deviceId || !missing) throw error;
+
+            console.warn('Selected camera unavailable, using the default:', error);
+            this.deviceId = '';
+            this.stream = await navigator.mediaDevices.getUserMedia({ video: this.getVideoConstraints() });
+        }
+
+        this.video.srcObject = this.stream;
+
+        // Wait for video metadata
+        await new Promise((resolve) => {
+            if (this.video.readyState >= 1) {
+                resolve();
+            } else {
+                this.video.addEventListener('loadedmetadata', resolve, { once: true });
+            }
+        });
+
+        await this.video.play();
+        this.video.classList.remove('hidden');
+
+        this.track = this.stream.getVideoTracks()[0] || null;
+        this.capabilities = this.track && this.track.getCapabilities ? this.track.getCapabilities() : {};
+        const trackSettings = this.track && this.track.getSettings ? this.track.getSettings() : {};
+        this.zoom = this.capabilities.zoom ? trackSettings.zoom || this.capabilities.zoom.min : 1;
+
+        this.imageCapture = null;
+        this.photoCapabilities = null;
+        if (this.track && typeof ImageCapture !== 'undefined') {
+            try {
+                this.imageCapture = new ImageCapture(this.track);
+            } catch (error) {
+                console.warn('ImageCapture unavailable, stills will be video frames:', error);
+            }
+        }
+
+        // A picked device tells us which way it faces (external webcams may not)
+        if (this.deviceId && (trackSettings.facingMode === 'user' || trackSettings.facingMode === 'environment')) {
+            this.facingMode = trackSettings.facingMode;
+        }
+
+        // Torch state does not survive a new track
+        if (this.flashMode && this.supports('torch')) {
+            await this.applyAdvanced({ torch: true }).catch(() => {});
+        }
+    }
+
+    /**
+     * Whether the current track exposes a capability (e.g. 'torch', 'zoom')
+     */
+    supports(name) {
+        const capability = this.capabilities[name];
+        if (Array.isArray(capability)) return capability.length > 0;
+        return Boolean(capability);
+    }
+
+    /**
+     * Range capability as { min, max, step }, or null
+     */
+    getRange(name) {
+        const capability = this.capabilities[name];
+        return capability && typeof capability.min === 'number' ? capability : null;
+    }
+
+    applyAdvanced(constraints) {
+        return this.track.applyConstraints({ advanced: [constraints] });
+    }
+
+    /**
+     * Toggle between front and back cameras, leaving any picked device
+     */
+    async switchCamera() {
+        this.stop();
+        this.deviceId = '';
+        this.facingMode = this.facingMode === 'environment' ? 'user' : 'environment';
+        await this.start();
+    }
+
+    /**
+     * Restart the stream with new settings
+     */
+    async restart(settings) {
+        this.stop();
+        this.configure(settings);
+        await this.start();
+    }
+
+    /**
+     * Toggle the flash - the real torch where the device has one, otherwise
+     * a brightening filter on captured frames
+     */
+    async toggleFlash() {
+        const enabled = !this.flashMode;
+        if (this.supports('torch')) {
+            await this.applyAdvanced({ torch: enabled });
+        }
+        this.flashMode = enabled;
+        return enabled;
+    }
+
+    /**
+     * Set the zoom factor, clamped to the track's range; returns the value applied
+     */
+    async setZoom(value) {
+        const range = this.getRange('zoom');
+        if (!range) return this.zoom;
+
+        const zoom = Math.max(range.min, Math.min(range.max, value));
+        await this.applyAdvanced({ zoom });
+        this.zoom = zoom;
+        return zoom;
+    }
+
+    /**
+     * Focus and meter at a point given as fractions (0-1) of the video frame.
+     * Returns false when the track cannot take a point of interest.
+     */
+    async focusAt(x, y) {
+        // Not reported by getCapabilities - only as a supported constraint
+        const supported = navigator.mediaDevices.getSupportedConstraints
+            ? navigator.mediaDevices.getSupportedConstraints()
+            : {};
+        if (!this.track || !supported.pointsOfInterest) {
+            return false;
+        }
+
+        const constraints = { pointsOfInterest: [{ x, y }] };
+        const focusModes = this.capabilities.focusMode || [];
+        const exposureModes = this.capabilities.exposureMode || [];
+        if (focusModes.includes('single-shot')) {
+            constraints.focusMode = 'single-shot';
+        } else if (focusModes.includes('continuous')) {
+            constraints.focusMode = 'continuous';
+        }
+        if (exposureModes.includes('continuous')) {
+            constraints.exposureMode = 'continuous';
+        }
+
+        await this.applyAdvanced(constraints);
+        return true;
+    }
+
+    /**
+     * Current exposure compensation (EV); 0 where the track has none
+     */
+    getExposureCompensation() {
+        const settings = this.track && this.track.getSettings ? this.track.getSettings() : {};
+        return typeof settings.exposureCompensation === 'number' ? settings.exposureCompensation : 0;
+    }
+
+    async setExposureCompensation(value) {
+        if (!this.getRange('exposureCompensation')) return;
+        await this.applyAdvanced({ exposureCompensation: value });
+    }
+
+    async setWhiteBalanceMode(mode) {
+        if (!(this.capabilities.whiteBalanceMode || []).includes(mode)) return;
+        await this.applyAdvanced({ whiteBalanceMode: mode });
+    }
+
+    /**
+     * Map a point on the video element to fractions of the video frame,
+     * accounting for object-fit: cover cropping
+     */
+    toVideoPoint(clientX, clientY) {
+        const rect = this.video.getBoundingClientRect();
+        const scale = Math.max(rect.width / this.width, rect.height / this.height);
+        const shownWidth = this.width * scale;
+        const shownHeight = this.height * scale;
+
+        const x = (clientX - rect.left - (rect.width - shownWidth) / 2) / shownWidth;
+        const y = (clientY - rect.top - (rect.height - shownHeight) / 2) / shownHeight;
+        return {
+            x: Math.max(0, Math.min(1, x)),
+            y: Math.max(0, Math.min(1, y))
+        };
+    }
+
+    /**
+     * Part of the video frame that is captured. Cameras that cannot deliver
+     * the chosen aspect ratio (square, mostly) are cropped to it at the
+     * centre. The ratio follows the frame's orientation, so a portrait
+     * phone gets a portrait 16:9.
+     */
+    getCropRect() {
+        const width = this.width;
+        const height = this.height;
+        const ratio = ASPECT_RATIOS[this.aspectRatio].ratio;
+        const target = height > width ? 1 / ratio : ratio;
+        const actual = width / height;
+
+        if (!width || !height || Math.abs(actual / target - 1) < ASPECT_TOLERANCE) {
+            return { x: 0, y: 0, width, height };
+        }
+
+        if (actual > target) {
+            const cropWidth = Math.round(height * target);
+            return { x: Math.round((width - cropWidth) / 2), y: 0, width: cropWidth, height };
+        }
+
+        const cropHeight = Math.round(width / target);
+        return { x: 0, y: Math.round((height - cropHeight) / 2), width, height: cropHeight };
+    }
+
+    /**
+     * Move detections from video coordinates into the captured image,
+     * dropping those left outside the crop. `scale` is the picture's
+     * pixels per video pixel.
+     */
+    toCaptureDetections(detections, scale = 1) {
+        const crop = this.getCropRect();
+
+        return detections
+            .map(detection => {
+                const x1 = Math.max(0, detection.rect.x - crop.x);
+                const y1 = Math.max(0, detection.rect.y - crop.y);
+                const x2 = Math.min(crop.width, detection.rect.x + detection.rect.width - crop.x);
+                const y2 = Math.min(crop.height, detection.rect.y + detection.rect.height - crop.y);
+                if (x2 <= x1 || y2 <= y1) return null;
+
+                const rect = {
+                    x: Math.round(x1 * scale),
+                    y: Math.round(y1 * scale),
+                    width: Math.round((x2 - x1) * scale),
+                    height: Math.round((y2 - y1) * scale)
+                };
+                return {
+                    ...detection,
+                    rect: rect,
+                    area: rect.width * rect.height,
+                    center: { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 }
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Settings stored with each capture, with the size and source of the
+     * picture actually taken
+     */
+    getCaptureSettings(picture) {
+        return {
+            facingMode: this.facingMode,
+            device: this.track && this.track.label ? this.track.label : null,
+            flash: this.flashMode,
+            torch: this.flashMode && this.supports('torch'),
+            fillLight: picture.fillLight,
+            zoom: this.zoom,
+            aspectRatio: this.aspectRatio,
+            source: picture.source,
+            merge: picture.merge || null,
+            width: picture.width,
+            height: picture.height
+        };
+    }
+
+    /**
+     * Take a still cropped to the aspect ratio: a full-resolution photo
+     * where ImageCapture works, otherwise the current video frame.
+     * Resolves to { blob, width, height, source, scale, fillLight }.
+     */
+    async takePicture() {
+        if (this.imageCapture) {
+            try {
+                const photo = await this.takePhoto();
+                if (photo) return photo;
+            } catch (error) {
+                console.warn('takePhoto failed, using a video frame:', error);
+            }
+        }
+        return this.grabFrame();
+    }
+
+    async getPhotoCapabilities() {
+        if (!this.photoCapabilities) {
+            this.photoCapabilities = await this.imageCapture.getPhotoCapabilities().catch(() => ({}));
+        }
+        return this.photoCapabilities;
+    }
+
+    /**
+     * Sensor-resolution still via ImageCapture. Resolves to null when the
+     * photo cannot be lined up with the preview (it is rotated against it).
+     */
+    async takePhoto() {
+        const capabilities = await this.getPhotoCapabilities();
+        const photoSettings = {};
+        if (capabilities.imageWidth && capabilities.imageHeight) {
+            photoSettings.imageWidth = capabilities.imageWidth.max;
+            photoSettings.imageHeight = capabilities.imageHeight.max;
+        }
+
+        // A real flash where there is no torch to leave on
+        const fillLight = this.flashMode && !this.supports('torch') &&
+            (capabilities.fillLightMode || []).includes('flash');
+        if (fillLight) {
+            photoSettings.fillLightMode = 'flash';
+        }
+
+        const blob = await this.imageCapture.takePhoto(photoSettings);
+        const bitmap = await createImageBitmap(blob);
+
+        try {
+            if (Math.sign(bitmap.width - bitmap.height) * Math.sign(this.width - this.height) < 0) {
+                console.warn('Photo is rotated against the preview, using a video frame');
+                return null;
+            }
+
+            // The preview is a centred crop of the sensor at the video's aspect ratio
+            const crop = this.getCropRect();
+            const scale = Math.min(bitmap.width / this.width, bitmap.height / this.height);
+            const region = {
+                x: (bitmap.width - this.width * scale) / 2 + crop.x * scale,
+                y: (bitmap.height - this.height * scale) / 2 + crop.y * scale,
+                width: crop.width * scale,
+                height: crop.height * scale
+            };
+            const width = Math.round(region.width);
+            const height = Math.round(region.height);
+            const simulateFlash = this.flashMode && !this.supports('torch') && !fillLight;
+
+            // Keep the camera's own JPEG (and its metadata) when nothing changes
+            if (!simulateFlash && width === bitmap.width && height === bitmap.height) {
+                return { blob, width, height, source: 'photo', scale, fillLight };
+            }
+
+            const picture = await this.renderPicture(bitmap, region, width, height, simulateFlash);
+            return { blob: picture, width, height, source: 'photo', scale, fillLight };
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    /**
+     * Still from the current video frame, at preview resolution
+     */
+    async grabFrame() {
+        const crop = this.getCropRect();
+        const simulateFlash = this.flashMode && !this.supports('torch');
+        const blob = await this.renderPicture(this.video, crop, crop.width, crop.height, simulateFlash);
+        return { blob, width: crop.width, height: crop.height, source: 'video', scale: 1, fillLight: false };
+    }
+
+    /**
+     * Current frame, cropped to the aspect ratio, as ImageData - scaled
+     * down so its longest side is at most `maxSide`
+     */
+    grabPixels(maxSide = Infinity) {
+        const crop = this.getCropRect();
+        const scale = Math.min(1, maxSide / Math.max(crop.width, crop.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(crop.width * scale));
+        canvas.height = Math.max(1, Math.round(crop.height * scale));
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+        ctx.drawImage(this.video, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * Draw part of `source` into a JPEG of the given size
+     */
+    renderPicture(source, rect, width, height, simulateFlash) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        // Simulate the flash when the device has none
+        if (simulateFlash) {
+            ctx.filter = 'brightness(1.3) contrast(1.1)';
+        }
+
+        ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode photo')), 'image/jpeg', 0.92);
+        });
+    }
+
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.track = null;
+        this.capabilities = {};
+        this.imageCapture = null;
+        this.photoCapabilities = null;
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * Capture Mode
+ * Self-timer, burst and multi-frame (night / HDR) settings, with the values
+ * each may take
+ */
+
+export const SELF_TIMER_DELAYS = [0, 3, 10];
+export const BURST_COUNTS = [3, 5, 10];
+export const BURST_INTERVALS = [100, 250, 500];
+
+/**
+ * What happens to a burst once its frames are scored
+ */
+export const BurstKeep = {
+    BEST: 'best',
+    CHOOSE: 'choose'
+};
+
+export const DEFAULT_CAPTURE_MODE = {
+    selfTimer: 0,
+    burst: false,
+    burstCount: 5,
+    burstInterval: 250,
+    burstKeep: BurstKeep.BEST,
+    // Merge several frames when the scene is dark or high-contrast. Off by
+    // default: merged photos have the preview's resolution, not the still's.
+    multiFrame: false
+};
+
+/**
+ * Defaults plus any valid overrides (e.g. from localStorage)
+ */
+export function createCaptureMode(overrides = {}) {
+    const mode = { ...DEFAULT_CAPTURE_MODE };
+    const saved = overrides && typeof overrides === 'object' ? overrides : {};
+
+    if (SELF_TIMER_DELAYS.includes(saved.selfTimer)) mode.selfTimer = saved.selfTimer;
+    if (typeof saved.burst === 'boolean') mode.burst = saved.burst;
+    if (BURST_COUNTS.includes(saved.burstCount)) mode.burstCount = saved.burstCount;
+    if (BURST_INTERVALS.includes(saved.burstInterval)) mode.burstInterval = saved.burstInterval;
+    if (Object.values(BurstKeep).includes(saved.burstKeep)) mode.burstKeep = saved.burstKeep;
+    if (typeof saved.multiFrame === 'boolean') mode.multiFrame = saved.multiFrame;
+
+    return mode;
+}
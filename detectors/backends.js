@@ -0,0 +1,15 @@
+/**
+ * Detector Backends
+ * Registry of detector backends by name. Each backend implements
+ * initialize(width, height), detect(imageData) and cleanup().
+ */
+
+import { ContourDetector } from './contourDetector.js';
+
+export const DEFAULT_DETECTOR = 'contour';
+
+// The COCO-SSD backend (cocoSsdDetector.js) is registered here as
+// 'coco-ssd' once its weights are in models/coco-ssd/
+export const DETECTOR_BACKENDS = {
+    contour: ContourDetector
+};
@@ -0,0 +1,87 @@
+/**
+ * COCO-SSD Detector
+ * Runs the COCO-SSD model (80 everyday object classes) locally in the
+ * browser with TensorFlow.js. The scripts and weights are served with the
+ * app, so no frames leave the device.
+ */
+
+import { loadScript } from '../utils.js';
+
+// @tensorflow/tfjs 4.22.0 and @tensorflow-models/coco-ssd 2.2.3
+export const TFJS_URL = new URL('../vendor/tfjs/tf.min.js', import.meta.url).href;
+export const COCO_SSD_URL = new URL('../vendor/coco-ssd/coco-ssd.min.js', import.meta.url).href;
+
+// lite_mobilenet_v2 weights: model.json and its shards from
+// tfjs-models/savedmodel/ssdlite_mobilenet_v2/
+export const COCO_SSD_MODEL_URL = new URL('../models/coco-ssd/model.json', import.meta.url).href;
+
+let modelPromise = null;
+
+/**
+ * Load the scripts and weights once - the model is shared across
+ * re-initializations (camera switch, orientation change)
+ */
+function loadModel() {
+    if (!modelPromise) {
+        modelPromise = (async () => {
+            await loadScript(TFJS_URL);
+            await loadScript(COCO_SSD_URL);
+            
+            return self.cocoSsd.load({ base: 'lite_mobilenet_v2', modelUrl: COCO_SSD_MODEL_URL });
+        })();
+        
+        // Allow a retry after a network failure
+        modelPromise.catch(() => { modelPromise = null; });
+    }
+    return modelPromise;
+}
+
+export class CocoSsdDetector {
+    constructor() {
+        this.name = 'coco-ssd';
+        this.label = 'COCO-SSD model (TensorFlow.js)';
+        
+        this.model = null;
+        this.maxDetections = 10;
+        this.minScore = 0.5;
+    }
+
+    async initialize() {
+        this.model = await loadModel();
+    }
+
+    /**
+     * Detect objects in an RGBA frame
+     */
+    async detect(imageData) {
+        const predictions = await this.model.detect(imageData, this.maxDetections, this.minScore);
+        
+        return predictions.map(prediction => {
+            const [x, y, width, height] = prediction.bbox;
+            const rect = {
+                x: Math.round(x),
+                y: Math.round(y),
+                width: Math.round(width),
+                height: Math.round(height)
+            };
+            
+            return {
+                type: prediction.class,
+                rect: rect,
+                area: rect.width * rect.height,
+                confidence: prediction.score,
+                center: {
+                    x: rect.x + rect.width / 2,
+                    y: rect.y + rect.height / 2
+                }
+            };
+        });
+    }
+
+    /**
+     * The model is kept loaded for the next initialize
+     */
+    cleanup() {
+        this.model = null;
+    }
+}
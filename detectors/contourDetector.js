@@ -0,0 +1,291 @@
+/**
+ * Contour Detector
+ * Shape heuristic backend: classifies OpenCV contours by aspect ratio,
+ * extent and circularity, plus Haar cascade face detection. Needs
+ * OpenCV.js, which it loads on first use.
+ */
+
+import { loadOpenCv } from '../opencvLoader.js';
+import { ObjectTypes } from './objectTypes.js';
+import { FaceDetector } from './faceDetector.js';
+import { createDetectorConfig } from './detectorConfig.js';
+
+export class ContourDetector {
+    constructor() {
+        this.name = 'contour';
+        this.label = 'Shape heuristic (OpenCV)';
+        
+        this.src = null;
+        this.dst = null;
+        this.gray = null;
+        this.contours = null;
+        this.hierarchy = null;
+        
+        // Preprocessing and classification parameters (see detectorConfig.js)
+        this.config = createDetectorConfig();
+        
+        // Contour indices kept as detections in the last frame, for the debug view
+        this.keptContours = new Set();
+        
+        // Size thresholds are tuned for 1280x720 frames; lengthScale maps
+        // them to the (usually downscaled) detection frame
+        this.lengthScale = 1;
+        
+        this.faceDetector = new FaceDetector();
+        this.faceDetectionEnabled = false;
+    }
+
+    /**
+     * Load OpenCV and allocate matrices for frames of the given size
+     */
+    async initialize(videoWidth, videoHeight) {
+        if (!await loadOpenCv()) {
+            throw new Error('OpenCV.js is not available');
+        }
+        
+        this.cleanup();
+        this.src = new cv.Mat(videoHeight, videoWidth, cv.CV_8UC4);
+        this.dst = new cv.Mat(videoHeight, videoWidth, cv.CV_8UC1);
+        this.gray = new cv.Mat();
+        this.contours = new cv.MatVector();
+        this.hierarchy = new cv.Mat();
+        this.lengthScale = Math.sqrt((videoWidth * videoHeight) / (1280 * 720));
+        
+        // Shapes still work without faces if the cascade is missing
+        try {
+            await this.faceDetector.initialize(videoWidth, videoHeight);
+            this.faceDetectionEnabled = true;
+        } catch (error) {
+            console.warn('Face detection unavailable:', error.message);
+            this.faceDetectionEnabled = false;
+        }
+    }
+
+    configure(config) {
+        this.config = config;
+    }
+
+    /**
+     * Detect objects in an RGBA frame
+     */
+    detect(imageData) {
+        this.src.data.set(imageData.data);
+        
+        // Convert to grayscale for processing
+        cv.cvtColor(this.src, this.gray, cv.COLOR_RGBA2GRAY);
+        
+        // Faces first - preprocessing blurs the grayscale frame in place
+        const faces = this.faceDetectionEnabled ? this.faceDetector.detect(this.gray) : [];
+        
+        // Apply preprocessing
+        this.preprocessImage();
+        
+        // Find contours
+        cv.findContours(this.dst, this.contours, this.hierarchy, 
+                       cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+        
+        return [...faces, ...this.analyzeContours()];
+    }
+
+    /**
+     * Preprocess image for better contour detection
+     */
+    preprocessImage() {
+        // Apply Gaussian blur to reduce noise
+        const { blurSize, thresholdBlockSize, thresholdC } = this.config;
+        cv.GaussianBlur(this.gray, this.gray, new cv.Size(blurSize, blurSize), 0, 0, cv.BORDER_DEFAULT);
+        
+        // Apply adaptive threshold for better edge detection
+        cv.adaptiveThreshold(this.gray, this.dst, 255, 
+                           cv.ADAPTIVE_THRESH_GAUSSIAN_C, 
+                           cv.THRESH_BINARY, thresholdBlockSize, thresholdC);
+        
+        // Apply morphological operations to clean up
+        let kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3));
+        cv.morphologyEx(this.dst, this.dst, cv.MORPH_CLOSE, kernel);
+        kernel.delete();
+    }
+
+    /**
+     * Analyze contours and classify objects
+     */
+    analyzeContours() {
+        const detections = [];
+        this.keptContours.clear();
+        
+        for (let i = 0; i < this.contours.size(); i++) {
+            let contour = this.contours.get(i);
+            let area = cv.contourArea(contour);
+            
+            // Filter out small contours
+            if (area < this.config.minContourArea * this.lengthScale ** 2) {
+                contour.delete();
+                continue;
+            }
+            
+            // Get bounding rectangle
+            let rect = cv.boundingRect(contour);
+            
+            // Calculate geometric properties
+            let aspectRatio = rect.width / rect.height;
+            let extent = area / (rect.width * rect.height);
+            let perimeter = cv.arcLength(contour, true);
+            let circularity = 4 * Math.PI * area / (perimeter * perimeter);
+            
+            // Classify object type
+            let objectType = this.classifyObject(rect, aspectRatio, extent, circularity, area / this.lengthScale ** 2);
+            
+            // Create detection object
+            let detection = {
+                type: objectType,
+                rect: rect,
+                area: area,
+                aspectRatio: aspectRatio,
+                circularity: circularity,
+                extent: extent,
+                confidence: this.calculateConfidence(objectType, aspectRatio, circularity, extent),
+                center: {
+                    x: rect.x + rect.width / 2,
+                    y: rect.y + rect.height / 2
+                }
+            };
+            
+            detections.push(detection);
+            this.keptContours.add(i);
+            contour.delete();
+        }
+        
+        return detections;
+    }
+
+    /**
+     * Classify object based on geometric properties
+     */
+    classifyObject(rect, aspectRatio, extent, circularity, area) {
+        // Human detection based on aspect ratio and size
+        if (this.isLikelyHuman(rect, aspectRatio, area)) {
+            return ObjectTypes.HUMAN;
+        }
+        
+        // Circular objects (high circularity)
+        if (circularity > this.config.circularityThreshold) {
+            return ObjectTypes.CIRCULAR;
+        }
+        
+        // Square objects (aspect ratio close to 1)
+        if (aspectRatio >= 0.8 && aspectRatio <= 1.2) {
+            return ObjectTypes.SQUARE;
+        }
+        
+        // Rectangular objects
+        if (aspectRatio > 1.5 || aspectRatio < 0.67) {
+            if (aspectRatio > 1.5) {
+                return ObjectTypes.HORIZONTAL;
+            } else {
+                return ObjectTypes.VERTICAL;
+            }
+        }
+        
+        // Size-based classification
+        if (area > 50000) {
+            return ObjectTypes.LARGE;
+        } else if (area < 5000) {
+            return ObjectTypes.SMALL;
+        }
+        
+        return ObjectTypes.RECTANGULAR;
+    }
+
+    /**
+     * Determine if contour is likely a human
+     */
+    isLikelyHuman(rect, aspectRatio, area) {
+        // Human-like aspect ratio (taller than wide)
+        if (aspectRatio < this.config.humanAspectRatioMin || aspectRatio > this.config.humanAspectRatioMax) {
+            return false;
+        }
+        
+        // Reasonable size for human detection
+        if (area < 10000 || area > 200000) {
+            return false;
+        }
+        
+        // Height should be significant portion of frame
+        if (rect.height / this.lengthScale < 100) {
+            return false;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Calculate confidence score for detection
+     */
+    calculateConfidence(objectType, aspectRatio, circularity, extent) {
+        let confidence = 0.5; // Base confidence
+        
+        switch (objectType) {
+            case ObjectTypes.HUMAN:
+                // Higher confidence for human-like aspect ratios
+                if (aspectRatio >= 0.4 && aspectRatio <= 0.6) {
+                    confidence = 0.8;
+                } else {
+                    confidence = 0.6;
+                }
+                break;
+                
+            case ObjectTypes.CIRCULAR:
+                confidence = Math.min(0.9, circularity);
+                break;
+                
+            case ObjectTypes.SQUARE:
+                confidence = 1.0 - Math.abs(aspectRatio - 1.0);
+                break;
+                
+            default:
+                confidence = Math.min(0.7, extent);
+        }
+        
+        return Math.max(0.1, Math.min(0.9, confidence));
+    }
+
+    /**
+     * Threshold mask of the last frame with its contours drawn on top:
+     * green were kept as detections, red were filtered out
+     */
+    renderDebug() {
+        const dimmed = new cv.Mat();
+        const debug = new cv.Mat();
+        
+        try {
+            // Dim the mask so the contours stand out
+            cv.convertScaleAbs(this.dst, dimmed, 0.4, 0);
+            cv.cvtColor(dimmed, debug, cv.COLOR_GRAY2RGBA);
+            
+            const kept = new cv.Scalar(0, 255, 0, 255);
+            const rejected = new cv.Scalar(255, 60, 60, 255);
+            for (let i = 0; i < this.contours.size(); i++) {
+                cv.drawContours(debug, this.contours, i, this.keptContours.has(i) ? kept : rejected, 1, cv.LINE_8);
+            }
+            
+            return new ImageData(new Uint8ClampedArray(debug.data), debug.cols, debug.rows);
+        } finally {
+            dimmed.delete();
+            debug.delete();
+        }
+    }
+
+    /**
+     * Release OpenCV matrices and the face classifier
+     */
+    cleanup() {
+        this.faceDetector.cleanup();
+        this.faceDetectionEnabled = false;
+        if (this.src) this.src.delete();
+        if (this.dst) this.dst.delete();
+        if (this.gray) this.gray.delete();
+        if (this.contours) this.contours.delete();
+        if (this.hierarchy) this.hierarchy.delete();
+        this.src = this.dst = this.gray = this.contours = this.hierarchy = null;
+    }
+}
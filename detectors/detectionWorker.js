@@ -0,0 +1,77 @@
+/**
+ * Detection Worker
+ * Runs a detector backend off the main thread on downscaled ImageBitmaps.
+ * A classic worker so backends can load UMD libraries (OpenCV.js,
+ * TensorFlow.js) with importScripts; the backends themselves are ES
+ * modules pulled in with import().
+ */
+
+let backend = null;
+let canvas = null;
+let ctx = null;
+
+const backendsReady = import('./backends.js');
+
+/**
+ * Read the bitmap's pixels through a reused OffscreenCanvas
+ */
+function readPixels(bitmap) {
+    if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+        canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+async function initialize({ backendName, width, height, config }) {
+    const { DETECTOR_BACKENDS } = await backendsReady;
+    
+    if (backend) backend.cleanup();
+    backend = null;
+    
+    const instance = new DETECTOR_BACKENDS[backendName]();
+    if (instance.configure) instance.configure(config);
+    await instance.initialize(width, height);
+    backend = instance;
+    return { label: backend.label };
+}
+
+async function detect({ bitmap, debug }) {
+    if (!backend) {
+        bitmap.close();
+        throw new Error('Detector is not initialized');
+    }
+    
+    const detections = await backend.detect(readPixels(bitmap));
+    
+    // Intermediate images for the tuning panel, when the backend has any
+    const debugImage = debug && backend.renderDebug ? backend.renderDebug() : null;
+    return { detections, debugImage };
+}
+
+function configure({ config }) {
+    if (backend && backend.configure) backend.configure(config);
+    return {};
+}
+
+function cleanup() {
+    if (backend) backend.cleanup();
+    backend = null;
+    return {};
+}
+
+const handlers = { initialize, detect, configure, cleanup };
+
+self.onmessage = async (event) => {
+    const { id, type } = event.data;
+    
+    try {
+        const result = await handlers[type](event.data);
+        self.postMessage({ id, ...result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
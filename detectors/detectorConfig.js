@@ -0,0 +1,79 @@
+/**
+ * Detector Config
+ * Tunable detection parameters and the named profiles they start from
+ */
+
+export const DEFAULT_DETECTOR_CONFIG = {
+    // Preprocessing
+    blurSize: 5,
+    thresholdBlockSize: 11,
+    thresholdC: 2,
+
+    // Contour classification (areas are in pixels of a 1280x720 frame)
+    minContourArea: 1500,
+    humanAspectRatioMin: 0.3,
+    humanAspectRatioMax: 0.8,
+    circularityThreshold: 0.7,
+
+    // Post-processing
+    overlapThreshold: 0.5,
+    maxDetections: 10
+};
+
+export const DEFAULT_PROFILE = 'indoor';
+
+/**
+ * Profiles override the defaults; the user's tuning is stored on top
+ */
+export const DETECTOR_PROFILES = {
+    indoor: {
+        label: 'Indoor',
+        config: {}
+    },
+    outdoor: {
+        label: 'Outdoor',
+        // Busier scenes: smooth away foliage and texture, ignore small blobs
+        config: { blurSize: 7, thresholdBlockSize: 15, thresholdC: 4, minContourArea: 3000 }
+    },
+    document: {
+        label: 'Document',
+        // A few large, high-contrast rectangles
+        config: { blurSize: 3, thresholdBlockSize: 25, thresholdC: 10, minContourArea: 40000, overlapThreshold: 0.3, maxDetections: 3 }
+    }
+};
+
+/**
+ * Ranges for the tuning panel and for sanitizing stored values
+ */
+export const CONFIG_PARAMETERS = [
+    { key: 'blurSize', label: 'Blur size', min: 1, max: 15, step: 2 },
+    { key: 'thresholdBlockSize', label: 'Threshold block size', min: 3, max: 51, step: 2 },
+    { key: 'thresholdC', label: 'Threshold offset (C)', min: -10, max: 20, step: 1 },
+    { key: 'minContourArea', label: 'Min contour area', min: 100, max: 100000, step: 100 },
+    { key: 'humanAspectRatioMin', label: 'Person aspect min', min: 0.1, max: 1, step: 0.05 },
+    { key: 'humanAspectRatioMax', label: 'Person aspect max', min: 0.2, max: 1.5, step: 0.05 },
+    { key: 'circularityThreshold', label: 'Circularity cutoff', min: 0.3, max: 1, step: 0.05 },
+    { key: 'overlapThreshold', label: 'NMS overlap', min: 0.1, max: 0.9, step: 0.05 },
+    { key: 'maxDetections', label: 'Max detections', min: 1, max: 30, step: 1 }
+];
+
+/**
+ * Build a config from a profile plus overrides, clamping every value to
+ * its range (blur and block sizes must be odd for OpenCV)
+ */
+export function createDetectorConfig(profileName = DEFAULT_PROFILE, overrides = {}) {
+    const profile = DETECTOR_PROFILES[profileName] || DETECTOR_PROFILES[DEFAULT_PROFILE];
+    const config = { ...DEFAULT_DETECTOR_CONFIG, ...profile.config };
+
+    CONFIG_PARAMETERS.forEach(({ key, min, max }) => {
+        const value = Number(overrides[key]);
+        if (overrides[key] !== undefined && Number.isFinite(value)) {
+            config[key] = Math.max(min, Math.min(max, value));
+        }
+    });
+
+    config.blurSize = Math.round(config.blurSize) | 1;
+    config.thresholdBlockSize = Math.round(config.thresholdBlockSize) | 1;
+    config.maxDetections = Math.round(config.maxDetections);
+    return config;
+}
@@ -0,0 +1,113 @@
+/**
+ * Face Detector
+ * OpenCV Haar cascade for frontal faces. The bundled cascade XML is written
+ * into the Emscripten file system once, since CascadeClassifier only loads
+ * from a file path.
+ */
+
+import { ObjectTypes } from './objectTypes.js';
+
+// Resolved from this module so it also works inside the detection worker
+export const CASCADE_URL = new URL('../models/haarcascade_frontalface_default.xml', import.meta.url).href;
+const CASCADE_FILE = 'haarcascade_frontalface_default.xml';
+
+let cascadePromise = null;
+
+/**
+ * Fetch the cascade and write it into the OpenCV FS; resolves to its path
+ */
+function loadCascadeFile() {
+    if (!cascadePromise) {
+        cascadePromise = (async () => {
+            const response = await fetch(CASCADE_URL);
+            if (!response.ok) {
+                throw new Error(`Failed to load face cascade (${response.status})`);
+            }
+            
+            const data = new Uint8Array(await response.arrayBuffer());
+            cv.FS_createDataFile('/', CASCADE_FILE, data, true, false, false);
+            return CASCADE_FILE;
+        })();
+        
+        // Allow a retry after a network failure
+        cascadePromise.catch(() => { cascadePromise = null; });
+    }
+    return cascadePromise;
+}
+
+export class FaceDetector {
+    constructor() {
+        this.classifier = null;
+        this.small = null;
+        
+        // Detection runs on a downscaled frame - faces are large features
+        this.maxSide = 320;
+        this.scale = 1;
+        this.scaleFactor = 1.1;
+        this.minNeighbors = 5;
+        this.minFaceSize = 24;
+    }
+
+    async initialize(width, height) {
+        const path = await loadCascadeFile();
+        
+        this.scale = Math.min(1, this.maxSide / Math.max(width, height));
+        this.cleanup();
+        this.classifier = new cv.CascadeClassifier();
+        if (!this.classifier.load(path)) {
+            this.cleanup();
+            throw new Error('Face cascade could not be parsed');
+        }
+        this.small = new cv.Mat();
+    }
+
+    /**
+     * Detect faces in a grayscale frame; rects are in frame pixels
+     */
+    detect(gray) {
+        const faces = new cv.RectVector();
+        const neighbours = new cv.IntVector();
+        
+        try {
+            cv.resize(gray, this.small, new cv.Size(0, 0), this.scale, this.scale, cv.INTER_AREA);
+            cv.equalizeHist(this.small, this.small);
+            
+            this.classifier.detectMultiScale2(this.small, faces, neighbours, this.scaleFactor, this.minNeighbors, 0,
+                new cv.Size(this.minFaceSize, this.minFaceSize), new cv.Size(0, 0));
+            
+            const detections = [];
+            for (let i = 0; i < faces.size(); i++) {
+                const face = faces.get(i);
+                const rect = {
+                    x: Math.round(face.x / this.scale),
+                    y: Math.round(face.y / this.scale),
+                    width: Math.round(face.width / this.scale),
+                    height: Math.round(face.height / this.scale)
+                };
+                
+                detections.push({
+                    type: ObjectTypes.FACE,
+                    rect: rect,
+                    area: rect.width * rect.height,
+                    // More overlapping raw hits means a more certain face
+                    confidence: Math.min(0.95, 0.6 + neighbours.get(i) * 0.02),
+                    center: {
+                        x: rect.x + rect.width / 2,
+                        y: rect.y + rect.height / 2
+                    }
+                });
+            }
+            return detections;
+        } finally {
+            faces.delete();
+            neighbours.delete();
+        }
+    }
+
+    cleanup() {
+        if (this.classifier) this.classifier.delete();
+        if (this.small) this.small.delete();
+        this.classifier = null;
+        this.small = null;
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * Object Types
+ * Labels shared by the detector backends and the detection overlay
+ */
+
+export const ObjectTypes = {
+    HUMAN: 'person',
+    FACE: 'face',
+    RECTANGULAR: 'rectangular object',
+    CIRCULAR: 'circular object',
+    SQUARE: 'square object',
+    VERTICAL: 'vertical object',
+    HORIZONTAL: 'horizontal object',
+    SMALL: 'small object',
+    LARGE: 'large object',
+    UNKNOWN: 'object'
+};
@@ -0,0 +1,120 @@
+/**
+ * Enhancement Job
+ * AbortController-backed handle for one enhancement run, with a timeout
+ */
+
+export const JobStatus = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    CANCELLED: 'cancelled',
+    TIMED_OUT: 'timed-out'
+};
+
+/**
+ * Raised into provider calls when a job is cancelled or times out
+ */
+export class EnhancementAbortError extends Error {
+    constructor(reason) {
+        super(reason === 'timeout' ? 'Enhancement timed out' : 'Enhancement cancelled');
+        this.name = 'EnhancementAbortError';
+        this.reason = reason;
+    }
+}
+
+let nextJobId = 1;
+
+export class EnhancementJob {
+    constructor({ timeoutMs = 0, signal = null } = {}) {
+        this.id = nextJobId++;
+        this.timeoutMs = timeoutMs;
+        this.controller = new AbortController();
+        this.status = JobStatus.PENDING;
+        this.timer = null;
+        this.promise = null;
+
+        // Follow an outer signal (e.g. a queue shutting down)
+        if (signal) {
+            if (signal.aborted) {
+                this.cancel();
+            } else {
+                signal.addEventListener('abort', () => this.cancel(), { once: true });
+            }
+        }
+    }
+
+    get signal() {
+        return this.controller.signal;
+    }
+
+    get isAborted() {
+        return this.controller.signal.aborted;
+    }
+
+    /**
+     * Start the timeout clock
+     */
+    start() {
+        if (this.isAborted) return;
+
+        this.status = JobStatus.RUNNING;
+        if (this.timeoutMs > 0) {
+            this.timer = setTimeout(() => this.abort('timeout'), this.timeoutMs);
+        }
+    }
+
+    /**
+     * Run a step of the job. Rejects with EnhancementAbortError as soon as the
+     * job is aborted, even if the step itself ignores the signal.
+     */
+    run(task) {
+        if (this.isAborted) {
+            return Promise.reject(this.signal.reason);
+        }
+
+        const aborted = new Promise((resolve, reject) => {
+            this.signal.addEventListener('abort', () => reject(this.signal.reason), { once: true });
+        });
+
+        return Promise.race([task(this.signal), aborted]);
+    }
+
+    finish() {
+        clearTimeout(this.timer);
+        if (this.status === JobStatus.RUNNING) {
+            this.status = JobStatus.DONE;
+        }
+    }
+
+    cancel() {
+        this.abort('cancelled');
+    }
+
+    abort(reason) {
+        if (this.isAborted) return;
+
+        clearTimeout(this.timer);
+        this.status = reason === 'timeout' ? JobStatus.TIMED_OUT : JobStatus.CANCELLED;
+        this.controller.abort(new EnhancementAbortError(reason));
+    }
+}
+
+/**
+ * Promise-based delay that rejects when the signal aborts
+ */
+export function abortableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            }, { once: true });
+        }
+    });
+}
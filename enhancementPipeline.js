@@ -0,0 +1,578 @@
+/**
+ * Enhancement Pipeline
+ * Local photo enhancement in fixed stages: gray-world white balance, auto
+ * levels, subject exposure, CLAHE local contrast, unsharp masking, skin tone
+ * protection, a background portrait effect, a colour grade (saturation,
+ * warmth, fade), face light and an optional vignette. Detections steer the
+ * local stages. Each stage is driven by its own setting and nothing depends
+ * on timing or randomness, so a photo and settings always give the same
+ * result; tests/enhancementPipeline.test.js checks each stage on small
+ * fixture images.
+ */
+
+import { loadOpenCv } from './opencvLoader.js';
+import { ObjectTypes } from './detectors/objectTypes.js';
+
+export const DEFAULT_PIPELINE_SETTINGS = {
+    whiteBalance: 0.8,        // Share of the gray-world correction applied
+    levelsClip: 0.5,          // Percent of pixels clipped at each end of the histogram
+    claheClipLimit: 2,        // CLAHE contrast limit (0 disables)
+    claheTileSize: 8,         // CLAHE tiles across each side
+    sharpenAmount: 0.6,       // Unsharp mask strength (0 disables)
+    sharpenRadius: 1.5,       // Unsharp mask blur sigma in pixels
+    subjectExposure: 0.5,     // Pull of detected subjects towards mid-gray
+    subjectSharpen: 0.4,      // Extra unsharp strength on subjects
+    skinProtection: 0.8,      // Share of the original skin colour kept on faces
+    backgroundBlur: 0,        // Blur sigma in pixels away from subjects (0 disables)
+    backgroundDesaturate: 0,  // Saturation taken out away from subjects
+    saturation: 1,            // Colour intensity (0 is black and white)
+    warmth: 0,                // Shift towards amber (positive) or blue (negative)
+    fade: 0,                  // Lift of the black point for a matte look
+    faceLight: 0.15,          // Brightening over detected faces
+    vignette: 0               // Edge darkening (0 disables)
+};
+
+/**
+ * Ranges for the settings panel and for sanitizing stored values
+ */
+export const PIPELINE_PARAMETERS = [
+    { key: 'whiteBalance', label: 'White balance', min: 0, max: 1, step: 0.05 },
+    { key: 'levelsClip', label: 'Auto levels clip (%)', min: 0, max: 5, step: 0.1 },
+    { key: 'claheClipLimit', label: 'Local contrast', min: 0, max: 8, step: 0.5 },
+    { key: 'claheTileSize', label: 'Local contrast tiles', min: 2, max: 16, step: 1 },
+    { key: 'sharpenAmount', label: 'Sharpen amount', min: 0, max: 2, step: 0.1 },
+    { key: 'sharpenRadius', label: 'Sharpen radius (px)', min: 0.5, max: 5, step: 0.5 },
+    { key: 'subjectExposure', label: 'Subject exposure', min: 0, max: 1, step: 0.05 },
+    { key: 'subjectSharpen', label: 'Subject sharpen', min: 0, max: 2, step: 0.1 },
+    { key: 'skinProtection', label: 'Skin tone protection', min: 0, max: 1, step: 0.05 },
+    { key: 'backgroundBlur', label: 'Background blur (px)', min: 0, max: 30, step: 1 },
+    { key: 'backgroundDesaturate', label: 'Background desaturate', min: 0, max: 1, step: 0.05 },
+    { key: 'saturation', label: 'Saturation', min: 0, max: 2, step: 0.05 },
+    { key: 'warmth', label: 'Warmth', min: -1, max: 1, step: 0.05 },
+    { key: 'fade', label: 'Fade', min: 0, max: 1, step: 0.05 },
+    { key: 'faceLight', label: 'Face light', min: 0, max: 0.5, step: 0.05 },
+    { key: 'vignette', label: 'Vignette', min: 0, max: 1, step: 0.05 }
+];
+
+// Statistics are gathered from every 4th pixel
+const SAMPLE_STEP = 16;
+
+// Pixels this close to black or white carry no reliable colour
+const WHITE_BALANCE_MIN = 8;
+const WHITE_BALANCE_MAX = 247;
+
+// Gray-world gains are kept within this factor of 1
+const MAX_CHANNEL_GAIN = 1.5;
+
+// Auto levels never stretch less than this range to full scale (at most 4x)
+const MIN_LEVELS_RANGE = 64;
+
+// Subject exposure aims the subjects' mean luma here, within these exponents
+const SUBJECT_TARGET_LUMA = 118;
+const MIN_SUBJECT_GAMMA = 0.6;
+const MAX_SUBJECT_GAMMA = 1.4;
+
+// Region masks fade out over this share of the long side, faces over a
+// quarter of it
+const REGION_FEATHER = 0.04;
+
+// Skin in the YCbCr plane
+const SKIN_CB = [77, 127];
+const SKIN_CR = [133, 173];
+
+// Full warmth scales red up and blue down by this much
+const MAX_WARMTH_GAIN = 0.12;
+
+// Full fade lifts black to this level
+const MAX_FADE_BLACK = 64;
+
+// Warm tint screened over faces
+const FACE_LIGHT_COLOR = [255, 235, 215];
+
+/**
+ * Build settings from overrides, clamping every value to its range
+ */
+export function createPipelineSettings(overrides = {}) {
+    const settings = { ...DEFAULT_PIPELINE_SETTINGS };
+
+    PIPELINE_PARAMETERS.forEach(({ key, min, max }) => {
+        const value = Number(overrides && overrides[key]);
+        if (overrides && overrides[key] !== undefined && Number.isFinite(value)) {
+            settings[key] = Math.max(min, Math.min(max, value));
+        }
+    });
+
+    settings.claheTileSize = Math.round(settings.claheTileSize);
+    return settings;
+}
+
+/**
+ * Run every stage over a copy of `image` (ImageData). `detections` are in
+ * the image's pixel coordinates. Every detection is a subject: it gets the
+ * subject exposure and sharpening and is spared the background effect.
+ * Faces are left unsharpened, keep their skin tone, get the face light and
+ * centre the vignette. Resolves to the new ImageData.
+ */
+export async function enhanceImage(image, settings = DEFAULT_PIPELINE_SETTINGS, { detections = [] } = {}) {
+    const { width, height } = image;
+    const output = new ImageData(new Uint8ClampedArray(image.data), width, height);
+    const faces = detections.filter(detection => detection.type === ObjectTypes.FACE);
+    const feather = Math.max(width, height) * REGION_FEATHER;
+    const subjectMask = createRegionMask(detections.map(detection => detection.rect), width, height, feather);
+
+    // Faces would pull the gray-world average towards skin tones
+    applyWhiteBalance(output, settings.whiteBalance, faces.map(face => face.rect));
+    applyAutoLevels(output.data, settings.levelsClip);
+    applySubjectExposure(output.data, subjectMask, settings.subjectExposure);
+
+    const subjectStages = subjectMask && (settings.subjectSharpen > 0 || settings.backgroundBlur > 0);
+    if (settings.claheClipLimit > 0 || settings.sharpenAmount > 0 || subjectStages) {
+        if (await loadOpenCv()) {
+            applyOpenCvStages(self.cv, output, settings, faces, subjectMask);
+        } else {
+            console.warn('OpenCV.js unavailable - skipping local contrast, sharpening and background blur');
+        }
+    }
+
+    const faceMask = createRegionMask(faces.map(face => face.rect), width, height, feather / 4);
+    applySkinProtection(output, image, faceMask, settings.skinProtection);
+    applyBackgroundDesaturation(output.data, subjectMask, settings.backgroundDesaturate);
+    applyColorGrade(output.data, settings);
+    applyFaceLight(output, faces, settings.faceLight);
+    applyVignette(output, faces.length > 0 ? faces : detections, settings.vignette);
+    return output;
+}
+
+/**
+ * Gray-world white balance: scale each channel towards the common mean.
+ * `strength` 0 leaves the colours, 1 applies the full correction. Pixels
+ * inside the `exclude` rects are left out of the average.
+ */
+export function applyWhiteBalance(image, strength, exclude = []) {
+    if (strength <= 0) return;
+
+    const { data, width } = image;
+    const sums = [0, 0, 0];
+    for (let i = 0; i < data.length; i += SAMPLE_STEP) {
+        if (exclude.length > 0) {
+            const x = (i / 4) % width;
+            const y = Math.floor(i / 4 / width);
+            if (exclude.some(rect => x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height)) {
+                continue;
+            }
+        }
+
+        const max = Math.max(data[i], data[i + 1], data[i + 2]);
+        const min = Math.min(data[i], data[i + 1], data[i + 2]);
+        if (max > WHITE_BALANCE_MAX || min < WHITE_BALANCE_MIN) continue;
+
+        sums[0] += data[i];
+        sums[1] += data[i + 1];
+        sums[2] += data[i + 2];
+    }
+    if (sums.some(sum => sum === 0)) return;
+
+    const gray = (sums[0] + sums[1] + sums[2]) / 3;
+    const luts = sums.map(sum => {
+        const gain = Math.max(1 / MAX_CHANNEL_GAIN, Math.min(MAX_CHANNEL_GAIN, gray / sum));
+        const applied = 1 + (gain - 1) * strength;
+        return createLut(value => value * applied);
+    });
+    applyLuts(data, luts);
+}
+
+/**
+ * Stretch luminance so `clipPercent` of the pixels clip at each end. All
+ * channels share one curve, so hues are kept.
+ */
+export function applyAutoLevels(data, clipPercent) {
+    if (clipPercent <= 0) return;
+
+    const histogram = new Uint32Array(256);
+    let total = 0;
+    for (let i = 0; i < data.length; i += SAMPLE_STEP) {
+        histogram[Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])]++;
+        total++;
+    }
+
+    const clip = total * clipPercent / 100;
+    let low = 0;
+    let below = histogram[0];
+    while (below <= clip && low < 255) below += histogram[++low];
+
+    let high = 255;
+    let above = histogram[255];
+    while (above <= clip && high > 0) above += histogram[--high];
+    if (high <= low) return;
+
+    // Centre a narrow histogram rather than stretching its noise
+    const range = Math.max(high - low, MIN_LEVELS_RANGE);
+    const black = Math.max(0, Math.min(low - (range - (high - low)) / 2, 255 - range));
+    const lut = createLut(value => (value - black) * 255 / range);
+    applyLuts(data, [lut, lut, lut]);
+}
+
+/**
+ * Brighten or darken the masked subjects with a gamma curve that moves
+ * their mean luma towards mid-gray by `strength`
+ */
+export function applySubjectExposure(data, mask, strength) {
+    if (!mask || strength <= 0) return;
+
+    let total = 0;
+    let weight = 0;
+    for (let i = 0; i < data.length; i += SAMPLE_STEP) {
+        const m = mask[i / 4];
+        if (m === 0) continue;
+
+        total += (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * m;
+        weight += m;
+    }
+    if (weight === 0) return;
+
+    const mean = Math.max(1, Math.min(254, total / weight));
+    const gamma = Math.log(SUBJECT_TARGET_LUMA / 255) / Math.log(mean / 255);
+    const applied = Math.max(MIN_SUBJECT_GAMMA, Math.min(MAX_SUBJECT_GAMMA, 1 + (gamma - 1) * strength));
+    if (applied === 1) return;
+
+    const lut = createLut(value => 255 * Math.pow(value / 255, applied));
+    blendMasked(data, mask, i => lut[data[i]], i => lut[data[i + 1]], i => lut[data[i + 2]]);
+}
+
+/**
+ * Put back the original chroma of skin-toned pixels on faces, keeping the
+ * new luma, so colour stages do not shift skin tones
+ */
+export function applySkinProtection(image, original, mask, strength) {
+    if (!mask || strength <= 0) return;
+
+    const { data } = image;
+    const source = original.data;
+    for (let p = 0; p < mask.length; p++) {
+        if (mask[p] === 0) continue;
+
+        const i = p * 4;
+        const cb = 128 - 0.168736 * source[i] - 0.331264 * source[i + 1] + 0.5 * source[i + 2];
+        const cr = 128 + 0.5 * source[i] - 0.418688 * source[i + 1] - 0.081312 * source[i + 2];
+        if (cb < SKIN_CB[0] || cb > SKIN_CB[1] || cr < SKIN_CR[0] || cr > SKIN_CR[1]) continue;
+
+        const amount = strength * mask[p] / 255;
+        const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        const currentCb = 128 - 0.168736 * data[i] - 0.331264 * data[i + 1] + 0.5 * data[i + 2];
+        const currentCr = 128 + 0.5 * data[i] - 0.418688 * data[i + 1] - 0.081312 * data[i + 2];
+        const newCb = currentCb + (cb - currentCb) * amount - 128;
+        const newCr = currentCr + (cr - currentCr) * amount - 128;
+
+        data[i] = luma + 1.402 * newCr;
+        data[i + 1] = luma - 0.344136 * newCb - 0.714136 * newCr;
+        data[i + 2] = luma + 1.772 * newCb;
+    }
+}
+
+/**
+ * Take `strength` of the saturation out everywhere but the subjects
+ */
+export function applyBackgroundDesaturation(data, mask, strength) {
+    if (!mask || strength <= 0) return;
+
+    const gray = i => 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    const towards = offset => i => data[i + offset] + (gray(i) - data[i + offset]) * strength;
+    blendMasked(data, mask, towards(0), towards(1), towards(2), true);
+}
+
+/**
+ * Saturation, warmth and fade over the whole image
+ */
+export function applyColorGrade(data, { saturation = 1, warmth = 0, fade = 0 }) {
+    if (saturation === 1 && warmth === 0 && fade === 0) return;
+
+    const black = fade * MAX_FADE_BLACK;
+    const channelLut = gain => createLut(value => black + Math.min(255, value * gain) * (255 - black) / 255);
+    const luts = [
+        channelLut(1 + warmth * MAX_WARMTH_GAIN),
+        channelLut(1),
+        channelLut(1 - warmth * MAX_WARMTH_GAIN)
+    ];
+
+    if (saturation !== 1) {
+        for (let i = 0; i < data.length; i += 4) {
+            const gray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            data[i] = gray + (data[i] - gray) * saturation;
+            data[i + 1] = gray + (data[i + 1] - gray) * saturation;
+            data[i + 2] = gray + (data[i + 2] - gray) * saturation;
+        }
+    }
+    applyLuts(data, luts);
+}
+
+/**
+ * CLAHE on the lightness channel, unsharp masking and the background blur,
+ * in OpenCV
+ */
+function applyOpenCvStages(cv, image, settings, faces, subjectMask) {
+    const rgba = cv.matFromImageData(image);
+    const rgb = new cv.Mat();
+
+    try {
+        cv.cvtColor(rgba, rgb, cv.COLOR_RGBA2RGB);
+        if (settings.claheClipLimit > 0) {
+            applyClahe(cv, rgb, settings.claheClipLimit, settings.claheTileSize);
+        }
+        if (settings.sharpenAmount > 0 || (subjectMask && settings.subjectSharpen > 0)) {
+            applyUnsharpMask(cv, rgb, settings.sharpenAmount, settings.sharpenRadius, {
+                faces,
+                subjectMask,
+                subjectAmount: settings.subjectSharpen
+            });
+        }
+        if (subjectMask && settings.backgroundBlur > 0) {
+            applyBackgroundBlur(cv, rgb, subjectMask, settings.backgroundBlur);
+        }
+        cv.cvtColor(rgb, rgba, cv.COLOR_RGB2RGBA);
+        image.data.set(rgba.data);
+    } finally {
+        rgba.delete();
+        rgb.delete();
+    }
+}
+
+/**
+ * Contrast-limited adaptive histogram equalization of L in Lab, in place
+ */
+export function applyClahe(cv, rgb, clipLimit, tileSize) {
+    const lab = new cv.Mat();
+    const channels = new cv.MatVector();
+    const equalized = new cv.Mat();
+    const clahe = new cv.CLAHE(clipLimit, new cv.Size(tileSize, tileSize));
+
+    try {
+        cv.cvtColor(rgb, lab, cv.COLOR_RGB2Lab);
+        cv.split(lab, channels);
+
+        const lightness = channels.get(0);
+        clahe.apply(lightness, equalized);
+        lightness.delete();
+
+        channels.set(0, equalized);
+        cv.merge(channels, lab);
+        cv.cvtColor(lab, rgb, cv.COLOR_Lab2RGB);
+    } finally {
+        lab.delete();
+        channels.delete();
+        equalized.delete();
+        clahe.delete();
+    }
+}
+
+/**
+ * Add back `amount` times the difference from a Gaussian blur of sigma
+ * `radius`, in place, and `subjectAmount` more inside the subject mask.
+ * Faces keep their pixels - sharpening exaggerates skin.
+ */
+export function applyUnsharpMask(cv, rgb, amount, radius, { faces = [], subjectMask = null, subjectAmount = 0 } = {}) {
+    const blurred = new cv.Mat();
+    const sharpened = new cv.Mat();
+    const boosted = new cv.Mat();
+
+    try {
+        cv.GaussianBlur(rgb, blurred, new cv.Size(0, 0), radius, radius, cv.BORDER_REPLICATE);
+        cv.addWeighted(rgb, 1 + amount, blurred, -amount, 0, sharpened);
+
+        if (subjectMask && subjectAmount > 0) {
+            const total = amount + subjectAmount;
+            cv.addWeighted(rgb, 1 + total, blurred, -total, 0, boosted);
+            blendRgbMasked(sharpened.data, boosted.data, subjectMask);
+        }
+
+        faces.forEach(({ rect }) => {
+            const region = clipRect(rect, rgb.cols, rgb.rows);
+            if (!region) return;
+
+            const source = rgb.roi(region);
+            const target = sharpened.roi(region);
+            source.copyTo(target);
+            source.delete();
+            target.delete();
+        });
+
+        sharpened.copyTo(rgb);
+    } finally {
+        blurred.delete();
+        sharpened.delete();
+        boosted.delete();
+    }
+}
+
+/**
+ * Blur with sigma `radius` everywhere but the subjects, in place
+ */
+export function applyBackgroundBlur(cv, rgb, mask, radius) {
+    const blurred = new cv.Mat();
+
+    try {
+        cv.GaussianBlur(rgb, blurred, new cv.Size(0, 0), radius, radius, cv.BORDER_REPLICATE);
+        blendRgbMasked(blurred.data, rgb.data, mask);
+        blurred.copyTo(rgb);
+    } finally {
+        blurred.delete();
+    }
+}
+
+/**
+ * Screen a warm radial glow over each face, `strength` at its centre
+ */
+export function applyFaceLight(image, faces, strength) {
+    if (strength <= 0 || faces.length === 0) return;
+
+    const { data, width, height } = image;
+    faces.forEach(face => {
+        const { x: centerX, y: centerY } = face.center;
+        const radius = Math.max(face.rect.width, face.rect.height) * 0.8;
+        const region = clipRect({
+            x: centerX - radius,
+            y: centerY - radius,
+            width: radius * 2,
+            height: radius * 2
+        }, width, height);
+        if (!region) return;
+
+        for (let y = region.y; y < region.y + region.height; y++) {
+            for (let x = region.x; x < region.x + region.width; x++) {
+                const distance = Math.hypot(x - centerX, y - centerY) / radius;
+                if (distance >= 1) continue;
+
+                const alpha = strength * (1 - distance);
+                const i = (y * width + x) * 4;
+                for (let c = 0; c < 3; c++) {
+                    data[i + c] += FACE_LIGHT_COLOR[c] * (255 - data[i + c]) / 255 * alpha;
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Darken towards the edges by up to `strength`, away from the centre of
+ * the `subjects` when there are any, else the frame's
+ */
+export function applyVignette(image, subjects, strength) {
+    if (strength <= 0) return;
+
+    const { data, width, height } = image;
+    const centerX = subjects.length > 0
+        ? subjects.reduce((sum, subject) => sum + subject.center.x, 0) / subjects.length
+        : width / 2;
+    const centerY = subjects.length > 0
+        ? subjects.reduce((sum, subject) => sum + subject.center.y, 0) / subjects.length
+        : height / 2;
+    const radius = Math.max(width, height) * 0.7;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // Untouched inside half the radius, full strength at the radius
+            const t = Math.min(1, Math.max(0, (Math.hypot(x - centerX, y - centerY) / radius - 0.5) * 2));
+            if (t === 0) continue;
+
+            const factor = 1 - strength * t * t * (3 - 2 * t);
+            const i = (y * width + x) * 4;
+            data[i] *= factor;
+            data[i + 1] *= factor;
+            data[i + 2] *= factor;
+        }
+    }
+}
+
+function createLut(curve) {
+    const lut = new Uint8ClampedArray(256);
+    for (let value = 0; value < 256; value++) {
+        lut[value] = Math.round(curve(value));
+    }
+    return lut;
+}
+
+function applyLuts(data, [red, green, blue]) {
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = red[data[i]];
+        data[i + 1] = green[data[i + 1]];
+        data[i + 2] = blue[data[i + 2]];
+    }
+}
+
+/**
+ * One byte per pixel: 255 inside any of the rects, fading to 0 over
+ * `feather` pixels outside them. Null when there are no rects.
+ */
+export function createRegionMask(rects, width, height, feather) {
+    if (rects.length === 0) return null;
+
+    const mask = new Uint8Array(width * height);
+    rects.forEach(rect => {
+        const region = clipRect({
+            x: rect.x - feather,
+            y: rect.y - feather,
+            width: rect.width + feather * 2,
+            height: rect.height + feather * 2
+        }, width, height);
+        if (!region) return;
+
+        for (let y = region.y; y < region.y + region.height; y++) {
+            const outsideY = Math.max(rect.y - y, y - (rect.y + rect.height), 0);
+            for (let x = region.x; x < region.x + region.width; x++) {
+                const outsideX = Math.max(rect.x - x, x - (rect.x + rect.width), 0);
+                const t = Math.max(0, 1 - Math.hypot(outsideX, outsideY) / feather);
+                const value = Math.round(255 * t * t * (3 - 2 * t));
+
+                const p = y * width + x;
+                if (value > mask[p]) mask[p] = value;
+            }
+        }
+    });
+    return mask;
+}
+
+/**
+ * Move RGBA pixels towards the values the channel functions give, by the
+ * mask (or by its inverse when `invert` is set)
+ */
+function blendMasked(data, mask, red, green, blue, invert = false) {
+    for (let p = 0; p < mask.length; p++) {
+        const m = invert ? 255 - mask[p] : mask[p];
+        if (m === 0) continue;
+
+        const i = p * 4;
+        const r = red(i);
+        const g = green(i);
+        const b = blue(i);
+        data[i] += (r - data[i]) * m / 255;
+        data[i + 1] += (g - data[i + 1]) * m / 255;
+        data[i + 2] += (b - data[i + 2]) * m / 255;
+    }
+}
+
+/**
+ * Blend packed RGB `source` into `target` by the mask, in place
+ */
+function blendRgbMasked(target, source, mask) {
+    for (let p = 0; p < mask.length; p++) {
+        const m = mask[p];
+        if (m === 0) continue;
+
+        const i = p * 3;
+        for (let c = 0; c < 3; c++) {
+            target[i + c] = Math.round(target[i + c] + (source[i + c] - target[i + c]) * m / 255);
+        }
+    }
+}
+
+/**
+ * Round a rect to whole pixels inside the image, or null when nothing is left
+ */
+function clipRect(rect, width, height) {
+    const x = Math.max(0, Math.round(rect.x));
+    const y = Math.max(0, Math.round(rect.y));
+    const right = Math.min(width, Math.round(rect.x + rect.width));
+    const bottom = Math.min(height, Math.round(rect.y + rect.height));
+    if (right <= x || bottom <= y) return null;
+
+    return { x, y, width: right - x, height: bottom - y };
+}
@@ -0,0 +1,299 @@
+/**
+ * Enhancement Queue
+ * Persistent background queue that enhances stored originals with limited
+ * concurrency, so capture never waits for a provider
+ */
+
+import { createEnhancedRecord } from './photoRecord.js';
+import { dataUrlToBlob } from './utils.js';
+
+const STORAGE_KEY = 'ai-camera-enhancement-queue';
+
+export const QueueStatus = {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+export class EnhancementQueue {
+    constructor(imageEnhancer, gallery, { concurrency = 2 } = {}) {
+        this.imageEnhancer = imageEnhancer;
+        this.gallery = gallery;
+        this.concurrency = concurrency;
+
+        // Job records by original photo id; abort controllers of running jobs by the same id
+        this.jobs = new Map();
+        this.active = new Map();
+        this.listeners = new Set();
+
+        // Drop jobs whose photo is gone for good; pause those in Recently Deleted
+        this.gallery.subscribe(() => this.pruneOrphans());
+    }
+
+    /**
+     * Subscribe to job changes. Listeners receive the changed job record.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(job) {
+        this.listeners.forEach(listener => listener(job));
+    }
+
+    getJob(photoId) {
+        return this.jobs.get(photoId) || null;
+    }
+
+    getStatus(photoId) {
+        const job = this.jobs.get(photoId);
+        return job ? job.status : null;
+    }
+
+    get pendingCount() {
+        let count = 0;
+        this.jobs.forEach(job => {
+            if (job.status === QueueStatus.PENDING || job.status === QueueStatus.PROCESSING) count++;
+        });
+        return count;
+    }
+
+    /**
+     * Queue a stored original for enhancement. `style` names a style
+     * preset; `prompt` is an edited `{ prompt, negativePrompt }` pair to use
+     * instead of the built prompts.
+     */
+    enqueue(photo, { style = null, prompt = null } = {}) {
+        const job = {
+            photoId: photo.id,
+            style: style,
+            prompt: prompt,
+            status: QueueStatus.PENDING,
+            progress: 0,
+            message: 'Waiting to enhance...',
+            attempts: 0,
+            error: null,
+            enhancedPhotoId: null,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+
+        this.jobs.set(photo.id, job);
+        this.save();
+        this.notify(job);
+        this.pump();
+        return job;
+    }
+
+    /**
+     * Cancel a pending or running job. The original stays in the gallery.
+     */
+    cancel(photoId) {
+        const running = this.active.get(photoId);
+        if (running && !running.signal.aborted) {
+            // The runner removes the job once the enhancer reports the cancellation
+            running.abort();
+            return;
+        }
+
+        const job = this.jobs.get(photoId);
+        if (job && job.status === QueueStatus.PENDING) {
+            this.remove(photoId);
+        }
+    }
+
+    retry(photoId) {
+        const job = this.jobs.get(photoId);
+        if (!job || job.status !== QueueStatus.FAILED) return;
+
+        this.update(job, {
+            status: QueueStatus.PENDING,
+            progress: 0,
+            message: 'Waiting to enhance...',
+            error: null
+        });
+        this.pump();
+    }
+
+    remove(photoId) {
+        const job = this.jobs.get(photoId);
+        if (!job) return;
+
+        this.jobs.delete(photoId);
+        this.save();
+        this.notify({ ...job, removed: true });
+    }
+
+    /**
+     * Start as many pending jobs as concurrency allows, oldest first
+     */
+    pump() {
+        const pending = [...this.jobs.values()]
+            .filter(job => job.status === QueueStatus.PENDING && !this.active.has(job.photoId) && !this.isTrashed(job.photoId))
+            .sort((a, b) => a.createdAt - b.createdAt);
+
+        while (this.active.size < this.concurrency && pending.length > 0) {
+            this.run(pending.shift());
+        }
+    }
+
+    async run(job) {
+        const photo = this.gallery.getById(job.photoId);
+        if (!photo) {
+            this.remove(job.photoId);
+            return;
+        }
+
+        this.update(job, {
+            status: QueueStatus.PROCESSING,
+            attempts: job.attempts + 1,
+            message: 'Starting enhancement...'
+        });
+
+        // Registered before any await so the job can be cancelled while its image loads
+        const controller = new AbortController();
+        this.active.set(job.photoId, controller);
+
+        try {
+            const imageDataUrl = await this.gallery.getDataUrl(job.photoId);
+            const result = await this.imageEnhancer.startJob(imageDataUrl, photo.detections, {
+                capturedAt: photo.timestamp,
+                style: job.style || null,
+                prompt: job.prompt || null,
+                signal: controller.signal,
+                onProgress: (message, progress) => this.update(job, { message, progress }, false)
+            }).promise;
+
+            if (!this.jobs.has(job.photoId)) {
+                // Photo was deleted while enhancing
+                return;
+            }
+
+            if (job.status === QueueStatus.PENDING || this.isTrashed(job.photoId)) {
+                // Photo went to Recently Deleted while enhancing; the job starts
+                // over once it is restored
+                this.pause(job);
+                return;
+            }
+
+            if (result.success) {
+                const enhancedPhoto = await this.gallery.add(
+                    createEnhancedRecord(photo, result),
+                    dataUrlToBlob(result.enhancedImageUrl)
+                );
+
+                this.update(job, {
+                    status: QueueStatus.DONE,
+                    progress: 100,
+                    message: 'Enhanced',
+                    enhancedPhotoId: enhancedPhoto.id
+                });
+            } else if (result.cancelled) {
+                this.remove(job.photoId);
+            } else {
+                this.update(job, {
+                    status: QueueStatus.FAILED,
+                    message: 'Enhancement failed',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            if (!this.jobs.has(job.photoId)) return;
+            if (job.status === QueueStatus.PENDING || this.isTrashed(job.photoId)) {
+                this.pause(job);
+                return;
+            }
+
+            console.error('Queued enhancement failed:', error);
+            this.update(job, {
+                status: QueueStatus.FAILED,
+                message: 'Enhancement failed',
+                error: error.message
+            });
+        } finally {
+            this.active.delete(job.photoId);
+            this.pump();
+        }
+    }
+
+    update(job, changes, persist = true) {
+        Object.assign(job, changes, { updatedAt: Date.now() });
+        if (persist) this.save();
+        this.notify(job);
+    }
+
+    /**
+     * Whether a job's photo is in Recently Deleted rather than the library
+     */
+    isTrashed(photoId) {
+        return !this.gallery.getById(photoId) && Boolean(this.gallery.getDeletedById(photoId));
+    }
+
+    /**
+     * Put an unfinished job back to pending. `pump` skips it until its photo
+     * is restored.
+     */
+    pause(job) {
+        this.update(job, {
+            status: QueueStatus.PENDING,
+            progress: 0,
+            message: 'Paused while in Recently Deleted'
+        });
+    }
+
+    /**
+     * Stop jobs whose photo was deleted. Jobs of photos in Recently Deleted
+     * are kept, and resume when the photo is restored.
+     */
+    pruneOrphans() {
+        [...this.jobs.keys()].forEach(photoId => {
+            if (this.gallery.getById(photoId)) return;
+
+            const running = this.active.get(photoId);
+            if (!this.gallery.getDeletedById(photoId)) {
+                if (running) running.abort();
+                this.remove(photoId);
+            } else if (running && !running.signal.aborted) {
+                running.abort();
+                this.pause(this.jobs.get(photoId));
+            }
+        });
+
+        this.pump();
+    }
+
+    /**
+     * Restore saved jobs and resume any that were interrupted by a reload
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (Array.isArray(saved)) {
+                saved.forEach(job => {
+                    if (job.status === QueueStatus.PROCESSING) {
+                        job.status = QueueStatus.PENDING;
+                        job.progress = 0;
+                        job.message = 'Waiting to enhance...';
+                    }
+                    this.jobs.set(job.photoId, job);
+                });
+            }
+        } catch (error) {
+            console.error('Failed to load enhancement queue:', error);
+            localStorage.removeItem(STORAGE_KEY);
+        }
+
+        this.pruneOrphans();
+        this.pump();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify([...this.jobs.values()]));
+        } catch (error) {
+            console.error('Failed to save enhancement queue:', error);
+        }
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * Frame Merge
+ * Multi-frame capture for difficult light: exposure fusion of a bracketed
+ * series for high-contrast scenes, temporal averaging to denoise low light.
+ * Frames are aligned to the first one (translation, ECC) before merging.
+ * Frames come from the video stream, so a merged photo has the preview's
+ * resolution and aspect ratio rather than a full-resolution still's. The
+ * merge itself runs in the image worker.
+ */
+
+import { analyzeImage } from './imageAnalysis.js';
+import { runInImageWorker } from './imageWorkerClient.js';
+
+export const MergeMode = {
+    NONE: 'none',
+    HDR: 'hdr',
+    NIGHT: 'night'
+};
+
+const NIGHT_FRAMES = 6;
+// About two video frames at 30fps, so each grab is a new frame
+const NIGHT_INTERVAL = 70;
+
+// Exposure offsets (EV) from the current setting; the first is the reference
+const HDR_BRACKET = [0, -2, 2];
+// Auto exposure needs a few frames to follow a new compensation value
+const EXPOSURE_SETTLE_MS = 400;
+
+const ANALYSIS_SIDE = 320;
+const ALIGN_SIDE = 480;
+// Frames that align worse than this (ECC correlation) are left out
+const MIN_CORRELATION = 0.5;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Pick a merge mode from the brightness analysis of the current preview.
+ * HDR needs exposure compensation to bracket with.
+ */
+export function chooseMergeMode(camera) {
+    const analysis = analyzeImage(camera.grabPixels(ANALYSIS_SIDE).data);
+
+    if (analysis.isDark) return MergeMode.NIGHT;
+    if (analysis.isHighDynamicRange && camera.getRange('exposureCompensation')) return MergeMode.HDR;
+    return MergeMode.NONE;
+}
+
+/**
+ * Whether the loaded OpenCV.js build has the alignment and, for HDR, the
+ * exposure fusion `mode` needs - not every build includes them
+ */
+export function supportsMerge(cv, mode) {
+    if (typeof cv.findTransformECC !== 'function') return false;
+    if (mode !== MergeMode.HDR) return true;
+    return typeof cv.MergeMertens === 'function' && typeof cv.MergeMertens.prototype.process1 === 'function';
+}
+
+/**
+ * Capture and merge a series of frames. Resolves to a picture in the shape
+ * CameraService.takePicture returns, or null when OpenCV cannot merge.
+ */
+export async function captureMerged(camera, mode, onProgress = () => {}) {
+    const { supported } = await runInImageWorker('canMerge', { mode });
+    if (!supported) {
+        console.warn('OpenCV.js cannot merge frames - taking a single photo instead');
+        return null;
+    }
+
+    const frames = mode === MergeMode.HDR
+        ? await captureBracket(camera, onProgress)
+        : await captureSeries(camera, onProgress);
+
+    onProgress('Merging frames...');
+    const images = frames.map(frame => frame.image);
+    const { image, used } = await runInImageWorker('merge', { images, mode }, {
+        transfer: images.map(frame => frame.data.buffer)
+    });
+    const blob = await encodeImage(image);
+
+    return {
+        blob,
+        width: image.width,
+        height: image.height,
+        source: 'merge',
+        scale: 1,
+        fillLight: false,
+        merge: {
+            mode: mode,
+            frames: used,
+            exposures: mode === MergeMode.HDR ? frames.map(frame => frame.exposure) : null
+        }
+    };
+}
+
+async function captureSeries(camera, onProgress) {
+    const frames = [];
+    for (let i = 0; i < NIGHT_FRAMES; i++) {
+        if (i > 0) await sleep(NIGHT_INTERVAL);
+        onProgress(`Hold still... ${i + 1}/${NIGHT_FRAMES}`);
+        frames.push({ image: camera.grabPixels(), exposure: null });
+    }
+    return frames;
+}
+
+/**
+ * One frame per exposure offset, restoring the user's setting afterwards
+ */
+async function captureBracket(camera, onProgress) {
+    const range = camera.getRange('exposureCompensation');
+    const base = camera.getExposureCompensation();
+    const exposures = [...new Set(HDR_BRACKET.map(offset => Math.max(range.min, Math.min(range.max, base + offset))))];
+    const frames = [];
+
+    try {
+        for (let i = 0; i < exposures.length; i++) {
+            onProgress(`Hold still... ${i + 1}/${exposures.length}`);
+            if (exposures[i] !== base) {
+                await camera.setExposureCompensation(exposures[i]);
+                await sleep(EXPOSURE_SETTLE_MS);
+            }
+            frames.push({ image: camera.grabPixels(), exposure: exposures[i] });
+        }
+    } finally {
+        await camera.setExposureCompensation(base).catch(() => {});
+    }
+
+    return frames;
+}
+
+/**
+ * Align the frames (ImageData) to the first and merge them. Returns the
+ * merged ImageData and how many frames went into it.
+ */
+export function mergeFrames(images, mode) {
+    const cv = self.cv;
+    const frames = images.map(image => {
+        const rgba = cv.matFromImageData(image);
+        const rgb = new cv.Mat();
+        cv.cvtColor(rgba, rgb, cv.COLOR_RGBA2RGB);
+        rgba.delete();
+        return rgb;
+    });
+    const aligned = [frames[0]];
+    let reference = null;
+
+    try {
+        reference = alignmentImage(frames[0]);
+        frames.slice(1).forEach((frame, i) => {
+            const result = alignFrame(reference, frame);
+            if (result) {
+                aligned.push(result);
+            } else {
+                console.warn(`Frame ${i + 2} could not be aligned and was left out`);
+            }
+        });
+
+        const merged = mode === MergeMode.HDR ? fuseExposures(aligned) : averageFrames(aligned);
+        const rgba = new cv.Mat();
+        cv.cvtColor(merged, rgba, cv.COLOR_RGB2RGBA);
+        merged.delete();
+
+        const image = new ImageData(new Uint8ClampedArray(rgba.data), rgba.cols, rgba.rows);
+        rgba.delete();
+        return { image, used: aligned.length };
+    } finally {
+        if (reference) reference.gray.delete();
+        frames.forEach(frame => frame.delete());
+        aligned.slice(1).forEach(frame => frame.delete());
+    }
+}
+
+/**
+ * Small blurred grayscale copy - alignment only needs coarse structure
+ */
+function alignmentImage(frame) {
+    const cv = self.cv;
+    const scale = Math.min(1, ALIGN_SIDE / Math.max(frame.cols, frame.rows));
+    const gray = new cv.Mat();
+    cv.cvtColor(frame, gray, cv.COLOR_RGB2GRAY);
+    if (scale < 1) {
+        cv.resize(gray, gray, new cv.Size(Math.round(frame.cols * scale), Math.round(frame.rows * scale)), 0, 0, cv.INTER_AREA);
+    }
+    cv.GaussianBlur(gray, gray, new cv.Size(5, 5), 0);
+    return { gray, scale };
+}
+
+/**
+ * Shift `frame` onto the reference. ECC compares zero-mean, normalized
+ * patches, so it also lines up frames of different exposure. Returns null
+ * when the frames do not match.
+ */
+function alignFrame(reference, frame) {
+    const cv = self.cv;
+    const target = alignmentImage(frame);
+    const warp = cv.Mat.eye(2, 3, cv.CV_32F);
+    const mask = new cv.Mat();
+    const criteria = new cv.TermCriteria(cv.TermCriteria_COUNT + cv.TermCriteria_EPS, 50, 1e-4);
+
+    try {
+        const correlation = cv.findTransformECC(reference.gray, target.gray, warp, cv.MOTION_TRANSLATION, criteria, mask, 5);
+        if (!(correlation >= MIN_CORRELATION)) return null;
+
+        // Translation found at alignment size, applied at full size
+        const shift = cv.matFromArray(2, 3, cv.CV_32F, [
+            1, 0, warp.floatAt(0, 2) / reference.scale,
+            0, 1, warp.floatAt(1, 2) / reference.scale
+        ]);
+        const aligned = new cv.Mat();
+        cv.warpAffine(frame, aligned, shift, new cv.Size(frame.cols, frame.rows),
+            cv.INTER_LINEAR + cv.WARP_INVERSE_MAP, cv.BORDER_REPLICATE, new cv.Scalar());
+        shift.delete();
+        return aligned;
+    } catch (error) {
+        // ECC throws when it does not converge
+        return null;
+    } finally {
+        target.gray.delete();
+        warp.delete();
+        mask.delete();
+    }
+}
+
+/**
+ * Mertens exposure fusion: each pixel weighted by contrast, saturation and
+ * how well exposed it is, blended across a Laplacian pyramid
+ */
+function fuseExposures(frames) {
+    const cv = self.cv;
+    const series = new cv.MatVector();
+    frames.forEach(frame => series.push_back(frame));
+
+    const merger = new cv.MergeMertens(1, 1, 1);
+    const fused = new cv.Mat();
+    const result = new cv.Mat();
+
+    try {
+        merger.process1(series, fused);
+        fused.convertTo(result, cv.CV_8UC3, 255);
+        return result;
+    } finally {
+        series.delete();
+        merger.delete();
+        fused.delete();
+    }
+}
+
+/**
+ * Mean of the frames - sensor noise averages out, the scene does not
+ */
+function averageFrames(frames) {
+    const cv = self.cv;
+    const sum = new cv.Mat(frames[0].rows, frames[0].cols, cv.CV_32FC3, new cv.Scalar(0, 0, 0));
+    const frame32 = new cv.Mat();
+    const result = new cv.Mat();
+
+    try {
+        frames.forEach(frame => {
+            frame.convertTo(frame32, cv.CV_32FC3);
+            cv.add(sum, frame32, sum);
+        });
+        sum.convertTo(result, cv.CV_8UC3, 1 / frames.length);
+        return result;
+    } finally {
+        sum.delete();
+        frame32.delete();
+    }
+}
+
+function encodeImage(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext('2d').putImageData(image, 0, 0);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode photo')), 'image/jpeg', 0.92);
+    });
+}
@@ -0,0 +1,450 @@
+/**
+ * Gallery Store
+ * Holds the photo library, persists it in IndexedDB and notifies views of changes.
+ * Deleted captures go to Recently Deleted and are only removed for good by
+ * the user or once their retention period is over.
+ */
+
+import { PhotoStore, getStorageEstimate, requestPersistentStorage } from './photoStore.js';
+import { PHOTO_RECORD_VERSION, groupPhotos, linkLegacyPairs, upgradePhotoRecord } from './photoRecord.js';
+import { blobToDataUrl, createThumbnail, dataUrlToBlob } from './utils.js';
+
+// Pre-IndexedDB library of base64 data URLs, migrated on first load
+const LEGACY_STORAGE_KEY = 'aiCameraPhotos';
+
+// Days a deleted capture can be restored
+export const DELETED_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class GalleryStore {
+    constructor(photoStore = new PhotoStore()) {
+        this.db = photoStore;
+
+        // Photo records (see photoRecord.js), newest first; images stay in
+        // IndexedDB until needed
+        this.photos = [];
+        this.groupCache = null;
+
+        // Records in Recently Deleted (`deletedAt` set), kept apart from the library
+        this.deletedPhotos = [];
+        this.deletedGroupCache = null;
+
+        this.thumbnailUrls = new Map();
+        this.listeners = new Set();
+        this.persistenceRequested = false;
+
+        // Called with a user-facing message when the library cannot be loaded
+        this.onWarning = () => {};
+    }
+
+    get count() {
+        return this.photos.length;
+    }
+
+    /**
+     * Gallery items: each capture with its enhanced versions
+     */
+    get groups() {
+        if (!this.groupCache) {
+            this.groupCache = groupPhotos(this.photos);
+        }
+        return this.groupCache;
+    }
+
+    getGroup(groupId) {
+        return this.groups.find(group => String(group.groupId) === String(groupId)) || null;
+    }
+
+    /**
+     * Captures in Recently Deleted, most recently deleted first
+     */
+    get deletedGroups() {
+        if (!this.deletedGroupCache) {
+            this.deletedGroupCache = groupPhotos(this.deletedPhotos)
+                .map(group => ({ ...group, deletedAt: group.photos[0].deletedAt }))
+                .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+        }
+        return this.deletedGroupCache;
+    }
+
+    getDeletedGroup(groupId) {
+        return this.deletedGroups.find(group => String(group.groupId) === String(groupId)) || null;
+    }
+
+    /**
+     * When a deleted capture will be removed for good
+     */
+    getPurgeDate(group) {
+        return new Date(new Date(group.deletedAt).getTime() + DELETED_RETENTION_DAYS * DAY_MS);
+    }
+
+    getDaysLeft(group, now = Date.now()) {
+        return Math.max(0, Math.ceil((this.getPurgeDate(group).getTime() - now) / DAY_MS));
+    }
+
+    /**
+     * Ids read back from the DOM are strings; migrated records have numeric ids
+     */
+    getById(id) {
+        return this.photos.find(photo => String(photo.id) === String(id)) || null;
+    }
+
+    getDeletedById(id) {
+        return this.deletedPhotos.find(photo => String(photo.id) === String(id)) || null;
+    }
+
+    /**
+     * When the capture `groupId` was deleted, or null when it is in the library
+     */
+    getDeletedAt(groupId) {
+        const group = this.getDeletedGroup(groupId);
+        return group ? group.deletedAt : null;
+    }
+
+    indexOf(id) {
+        return this.photos.findIndex(photo => String(photo.id) === String(id));
+    }
+
+    getThumbnailUrl(id) {
+        return this.thumbnailUrls.get(id) || null;
+    }
+
+    /**
+     * Subscribe to changes. Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.groupCache = null;
+        this.deletedGroupCache = null;
+        this.listeners.forEach(listener => listener(this.photos));
+    }
+
+    /**
+     * Store a photo. `record` carries the metadata and `blob` the image.
+     * A version of a capture in Recently Deleted - an enhancement that
+     * finished after the delete - joins it there.
+     */
+    async add(record, blob) {
+        let meta = { ...record, size: blob.size, mimeType: blob.type };
+
+        let thumbnail = null;
+        try {
+            thumbnail = await createThumbnail(blob);
+        } catch (error) {
+            console.warn('Thumbnail generation failed:', error);
+        }
+
+        meta.deletedAt = this.getDeletedAt(meta.groupId);
+        try {
+            await this.db.put(meta, blob, thumbnail);
+        } catch (error) {
+            console.error('Storage error:', error);
+            throw new Error(this.describeSaveError(error));
+        }
+
+        // The capture may have been deleted or restored while this was written
+        const deletedAt = this.getDeletedAt(meta.groupId);
+        const moved = deletedAt !== meta.deletedAt;
+        if (moved) {
+            meta = { ...meta, deletedAt: deletedAt };
+        }
+
+        this.setThumbnail(meta.id, thumbnail || blob);
+        if (meta.deletedAt) {
+            this.deletedPhotos.push(meta);
+        } else {
+            this.photos.push(meta);
+            this.sort();
+        }
+        this.notify();
+
+        if (moved) {
+            await this.db.putMeta(meta);
+        }
+
+        // Ask once, after the user has started building a library
+        if (!this.persistenceRequested) {
+            this.persistenceRequested = true;
+            requestPersistentStorage();
+        }
+
+        return meta;
+    }
+
+    /**
+     * Move a capture and all of its versions to Recently Deleted
+     */
+    async trashGroup(groupId) {
+        const group = this.getGroup(groupId);
+        if (!group) return;
+
+        const deletedAt = new Date().toISOString();
+        for (const photo of group.photos) {
+            await this.db.putMeta({ ...photo, deletedAt: deletedAt });
+        }
+
+        // Versions added while the records were written go along
+        const inGroup = photo => String(photo.groupId) === String(groupId);
+        const trashed = this.photos.filter(inGroup).map(photo => ({ ...photo, deletedAt: deletedAt }));
+        this.photos = this.photos.filter(photo => !inGroup(photo));
+        this.deletedPhotos.push(...trashed);
+        this.notify();
+
+        await this.putLateRecords(group, trashed);
+    }
+
+    /**
+     * Bring a capture back from Recently Deleted
+     */
+    async restoreGroup(groupId) {
+        const group = this.getDeletedGroup(groupId);
+        if (!group) return;
+
+        for (const photo of group.photos) {
+            await this.db.putMeta({ ...photo, deletedAt: null });
+        }
+
+        const inGroup = photo => String(photo.groupId) === String(groupId);
+        const restored = this.deletedPhotos.filter(inGroup).map(photo => ({ ...photo, deletedAt: null }));
+        this.deletedPhotos = this.deletedPhotos.filter(photo => !inGroup(photo));
+        this.photos.push(...restored);
+        this.sort();
+        this.notify();
+
+        await this.putLateRecords(group, restored);
+    }
+
+    /**
+     * Persist records that joined a group after it was read for a move
+     */
+    async putLateRecords(group, records) {
+        const written = new Set(group.photos.map(photo => photo.id));
+        for (const photo of records.filter(record => !written.has(record.id))) {
+            await this.db.putMeta(photo);
+        }
+    }
+
+    /**
+     * Permanently delete a capture in Recently Deleted
+     */
+    async purgeGroup(groupId) {
+        const group = this.getDeletedGroup(groupId);
+        if (!group) return;
+
+        for (const photo of group.photos) {
+            await this.db.delete(photo.id);
+            this.revokeThumbnail(photo.id);
+        }
+
+        const removed = new Set(group.photos.map(photo => photo.id));
+        this.deletedPhotos = this.deletedPhotos.filter(photo => !removed.has(photo.id));
+        this.notify();
+    }
+
+    /**
+     * Permanently delete captures whose retention period is over. This is
+     * the only deletion that happens without the user asking for it.
+     */
+    async purgeExpired(now = Date.now()) {
+        const expired = this.deletedGroups.filter(group => this.getPurgeDate(group).getTime() <= now);
+        for (const group of expired) {
+            await this.purgeGroup(group.groupId);
+        }
+    }
+
+    /**
+     * Save a photo's manual edits (null removes them). `thumbnail` shows
+     * the edited photo; without one it is made from the stored image.
+     */
+    async setEdits(id, edits, thumbnail = null) {
+        const photo = this.getById(id);
+        if (!photo) return;
+
+        const preview = thumbnail || await createThumbnail(await this.getBlob(photo.id)).catch(() => null);
+
+        // The photo may have been deleted while its thumbnail was made
+        const current = this.getById(photo.id);
+        if (!current) return;
+
+        const meta = { ...current, edits: edits, editedAt: edits ? new Date().toISOString() : null };
+        await this.db.putMeta(meta);
+        if (preview) {
+            await this.db.putThumbnail(photo.id, preview);
+            this.setThumbnail(photo.id, preview);
+        }
+
+        // ...or while the edits were written. A photo moved to Recently
+        // Deleted meanwhile keeps its edits there and stays deleted.
+        const index = this.indexOf(photo.id);
+        if (index === -1) {
+            const deleted = this.getDeletedById(photo.id);
+            if (!deleted) return;
+
+            const trashed = { ...meta, deletedAt: deleted.deletedAt };
+            this.deletedPhotos[this.deletedPhotos.indexOf(deleted)] = trashed;
+            this.notify();
+            await this.db.putMeta(trashed);
+            return;
+        }
+
+        this.photos[index] = meta;
+        this.notify();
+    }
+
+    async getBlob(id) {
+        const blob = await this.db.getBlob(id);
+        if (!blob) {
+            throw new Error('Photo image is missing from storage');
+        }
+        return blob;
+    }
+
+    async getDataUrl(id) {
+        return blobToDataUrl(await this.getBlob(id));
+    }
+
+    /**
+     * Object URL for the full image. The caller must revoke it.
+     */
+    async getObjectUrl(id) {
+        return URL.createObjectURL(await this.getBlob(id));
+    }
+
+    getStorageUsage() {
+        return getStorageEstimate();
+    }
+
+    async load() {
+        try {
+            await this.migrateFromLocalStorage();
+        } catch (error) {
+            console.error('Photo migration failed:', error);
+            this.onWarning('Some photos could not be moved to the new storage - will retry next time');
+        }
+
+        try {
+            const records = (await this.db.getAllMeta()).filter(photo => photo && photo.id && photo.timestamp);
+            const upgraded = await this.upgradeRecords(records);
+            this.photos = upgraded.filter(photo => !photo.deletedAt);
+            this.deletedPhotos = upgraded.filter(photo => photo.deletedAt);
+            this.sort();
+
+            await Promise.all(upgraded.map(async photo => {
+                const thumbnail = await this.db.getThumbnail(photo.id) || await this.db.getBlob(photo.id);
+                if (thumbnail) this.setThumbnail(photo.id, thumbnail);
+            }));
+        } catch (error) {
+            console.error('Failed to load photos:', error);
+            this.photos = [];
+            this.deletedPhotos = [];
+            this.onWarning('Photo library unavailable - storage issue');
+        }
+
+        this.notify();
+
+        try {
+            await this.purgeExpired();
+        } catch (error) {
+            console.error('Failed to clear expired photos:', error);
+        }
+    }
+
+    /**
+     * Move a localStorage library into IndexedDB. The old copy is only
+     * removed once every photo has been written.
+     */
+    async migrateFromLocalStorage() {
+        const saved = localStorage.getItem(LEGACY_STORAGE_KEY);
+        if (!saved) return;
+
+        let legacyPhotos;
+        try {
+            legacyPhotos = JSON.parse(saved);
+        } catch (error) {
+            console.error('Discarding corrupted legacy photo storage:', error);
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+            return;
+        }
+
+        const valid = (Array.isArray(legacyPhotos) ? legacyPhotos : []).filter(photo => {
+            return photo &&
+                   photo.id &&
+                   photo.timestamp &&
+                   typeof photo.data === 'string' &&
+                   photo.data.startsWith('data:image/');
+        });
+
+        for (const photo of valid) {
+            const blob = dataUrlToBlob(photo.data);
+            const thumbnail = await createThumbnail(blob).catch(() => null);
+            const meta = {
+                id: photo.id,
+                timestamp: photo.timestamp,
+                camera: photo.camera,
+                type: photo.type || 'original',
+                size: blob.size,
+                mimeType: blob.type
+            };
+            await this.db.put(meta, blob, thumbnail);
+        }
+
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+    }
+
+    /**
+     * Upgrade records saved by older versions and persist the result
+     */
+    async upgradeRecords(records) {
+        const current = records.filter(record => record.version === PHOTO_RECORD_VERSION);
+        const outdated = records.filter(record => record.version && record.version !== PHOTO_RECORD_VERSION);
+
+        // Only unversioned records can be unlinked copies of one capture
+        const upgraded = linkLegacyPairs(records
+            .filter(record => !record.version)
+            .map(upgradePhotoRecord))
+            .concat(outdated.map(upgradePhotoRecord));
+
+        for (const record of upgraded) {
+            await this.db.putMeta(record);
+        }
+
+        return current.concat(upgraded);
+    }
+
+    /**
+     * Newest capture first
+     */
+    sort() {
+        this.photos.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    setThumbnail(id, blob) {
+        this.revokeThumbnail(id);
+        this.thumbnailUrls.set(id, URL.createObjectURL(blob));
+    }
+
+    revokeThumbnail(id) {
+        const url = this.thumbnailUrls.get(id);
+        if (url) {
+            URL.revokeObjectURL(url);
+            this.thumbnailUrls.delete(id);
+        }
+    }
+
+    /**
+     * Nothing is deleted to make room - the user decides what to remove
+     */
+    describeSaveError(error) {
+        if (error && error.name === 'QuotaExceededError') {
+            // Deleted photos keep their space until Recently Deleted is emptied
+            return this.deletedPhotos.length > 0
+                ? 'Storage full - empty Recently Deleted to free up space'
+                : 'Storage full - delete some photos and empty Recently Deleted to free up space';
+        }
+        return 'Storage issue - photo could not be saved';
+    }
+}
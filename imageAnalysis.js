@@ -0,0 +1,48 @@
+/**
+ * Image Analysis
+ * Brightness, contrast and clipping statistics that choose how a photo is
+ * captured and enhanced
+ */
+
+// Luma at or below / at or above which a pixel counts as clipped
+const SHADOW_CLIP = 16;
+const HIGHLIGHT_CLIP = 240;
+
+/**
+ * Analyze brightness and contrast of RGBA pixel data
+ */
+export function analyzeImage(data) {
+    let totalBrightness = 0;
+    let minBrightness = 255;
+    let maxBrightness = 0;
+    let shadows = 0;
+    let highlights = 0;
+
+    // Sample every 10th pixel for performance
+    for (let i = 0; i < data.length; i += 40) {
+        const brightness = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        totalBrightness += brightness;
+        minBrightness = Math.min(minBrightness, brightness);
+        maxBrightness = Math.max(maxBrightness, brightness);
+
+        if (brightness <= SHADOW_CLIP) shadows++;
+        if (brightness >= HIGHLIGHT_CLIP) highlights++;
+    }
+
+    const pixelCount = data.length / 40;
+    const avgBrightness = totalBrightness / pixelCount;
+    const contrast = maxBrightness - minBrightness;
+    const shadowClip = shadows / pixelCount;
+    const highlightClip = highlights / pixelCount;
+
+    return {
+        isDark: avgBrightness < 80,
+        isLowContrast: contrast < 100,
+        // Detail lost at both ends at once - a scene for exposure bracketing
+        isHighDynamicRange: shadowClip > 0.05 && highlightClip > 0.03,
+        avgBrightness: avgBrightness,
+        contrast: contrast,
+        shadowClip: shadowClip,
+        highlightClip: highlightClip
+    };
+}
@@ -1 +1,412 @@
+/**
+ * Image Enhancement Module
+ * Enhances captured photos through a fallback chain of provider adapters
+ * (Hugging Face, OpenAI, local server, local canvas) using detection-aware prompts
+ */
 
+import { ObjectDetector } from './objectDetection.js';
+import { PromptBuilder } from './promptBuilder.js';
+import { analyzeImage } from './imageAnalysis.js';
+import { ProviderRegistry } from './providerRegistry.js';
+import { HuggingFaceProvider } from './providers/huggingFaceProvider.js';
+import { OpenAIProvider } from './providers/openAiProvider.js';
+import { LocalServerProvider } from './providers/localServerProvider.js';
+import { LocalCanvasProvider } from './providers/localCanvasProvider.js';
+import { EnhancementJob, JobStatus } from './enhancementJob.js';
+import { getStylePreset } from './stylePresets.js';
+import { downscaleDataUrl, loadImage } from './utils.js';
+
+// Photos are analyzed for the prompt at this size
+const ANALYSIS_SIDE = 256;
+
+/**
+ * A detection in the coordinates of the image scaled by `scale`
+ */
+function scaleDetection(detection, scale) {
+    const rect = {
+        x: Math.round(detection.rect.x * scale),
+        y: Math.round(detection.rect.y * scale),
+        width: Math.round(detection.rect.width * scale),
+        height: Math.round(detection.rect.height * scale)
+    };
+    return {
+        ...detection,
+        rect: rect,
+        area: rect.width * rect.height,
+        center: { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 }
+    };
+}
+
+export class ImageEnhancer {
+    constructor() {
+        // Registered provider adapters, tried in fallback order
+        this.registry = new ProviderRegistry();
+        this.registerProvider(new HuggingFaceProvider());
+        this.registerProvider(new OpenAIProvider());
+        this.registerProvider(new LocalServerProvider());
+        this.registerProvider(new LocalCanvasProvider());
+
+        // Provider selected in the configuration panel
+        this.provider = 'local';
+
+        // Progress callbacks
+        this.callbacks = {
+            onStart: () => {},
+            onUpdate: () => {},
+            onComplete: () => {},
+            onError: () => {}
+        };
+
+        // Stats
+        this.stats = {
+            totalEnhancements: 0,
+            successfulEnhancements: 0,
+            failedEnhancements: 0,
+            cancelledEnhancements: 0,
+            timedOutEnhancements: 0,
+            fallbackEnhancements: 0,
+            totalProcessingTime: 0,
+            averageProcessingTime: 0,
+            byMethod: {}
+        };
+
+        // Default time budget for a whole enhancement job (0 disables)
+        this.timeoutMs = 60000;
+
+        // Composes each provider's prompt from its template
+        this.promptBuilder = new PromptBuilder();
+    }
+
+    /**
+     * Register a provider adapter (see ProviderRegistry.register)
+     */
+    registerProvider(provider) {
+        this.registry.register(provider);
+    }
+
+    /**
+     * Set the API key (and provider-specific options) for a provider
+     * and select it for testing
+     */
+    configure(provider, apiKey, options = {}) {
+        const adapter = this.registry.get(provider);
+        if (!adapter) {
+            console.error(`Unknown enhancement provider: ${provider}`);
+            return false;
+        }
+
+        if (adapter.requiresApiKey && (!apiKey || apiKey.trim() === '')) {
+            console.error(`${adapter.label} requires an API key`);
+            return false;
+        }
+
+        if (adapter.configure) {
+            adapter.configure(options);
+        }
+
+        this.provider = provider;
+        this.registry.setApiKey(provider, apiKey);
+
+        // A new key deserves a fresh chance
+        this.registry.reset(provider);
+        return true;
+    }
+
+    /**
+     * Set the order in which providers are tried
+     */
+    setProviderOrder(names) {
+        this.registry.setOrder(names);
+    }
+
+    getProviderOrder() {
+        return this.registry.getOrder();
+    }
+
+    /**
+     * Set the stage parameters of the on-device enhancement pipeline
+     */
+    setPipelineSettings(settings) {
+        this.registry.get('local').setPipelineSettings(settings);
+    }
+
+    /**
+     * Set progress callbacks
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Describe the scene from the detected objects, or null if nothing was detected
+     */
+    describeScene(detectedObjects) {
+        if (!detectedObjects || detectedObjects.length === 0) {
+            return null;
+        }
+
+        // Reuse the detector's scene description on a snapshot of the detections
+        const describer = new ObjectDetector();
+        describer.detectedObjects = detectedObjects;
+        return describer.generateSceneDescription();
+    }
+
+    /**
+     * Brightness and contrast of the photo for the prompt, or null if it
+     * could not be read
+     */
+    async analyzePhoto(imageDataUrl) {
+        try {
+            const img = await loadImage(imageDataUrl);
+            const scale = Math.min(1, ANALYSIS_SIDE / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.width * scale));
+            canvas.height = Math.max(1, Math.round(img.height * scale));
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            return analyzeImage(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+        } catch (error) {
+            console.warn('Could not analyze photo for the prompt:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Enhance an image, walking the provider chain until one succeeds
+     */
+    enhanceImage(imageDataUrl, detectedObjects = [], options = {}) {
+        return this.startJob(imageDataUrl, detectedObjects, options).promise;
+    }
+
+    /**
+     * Start an enhancement job. The returned job can be cancelled and its
+     * `promise` resolves to the enhancement result.
+     * Options: `timeoutMs` (defaults to this.timeoutMs), `signal`,
+     * `onProgress` to report this job's progress instead of the shared onUpdate callback,
+     * `capturedAt` for the time of day in prompts, `style` - the name of a
+     * style preset - and `prompt`, a `{ prompt, negativePrompt }` pair that
+     * replaces the built prompts.
+     */
+    startJob(imageDataUrl, detectedObjects = [], options = {}) {
+        const job = new EnhancementJob({
+            timeoutMs: options.timeoutMs !== undefined ? options.timeoutMs : this.timeoutMs,
+            signal: options.signal
+        });
+
+        job.promise = this.runJob(job, imageDataUrl, detectedObjects, options);
+        return job;
+    }
+
+    async runJob(job, imageDataUrl, detectedObjects, { onProgress: reportProgress = this.callbacks.onUpdate, capturedAt = null, style = null, prompt: promptOverride = null } = {}) {
+        const startTime = performance.now();
+        const sceneDescription = this.describeScene(detectedObjects);
+        const preset = getStylePreset(style);
+        const context = { detectedObjects, sceneDescription, capturedAt, pipeline: preset.pipeline, signal: job.signal };
+        const onProgress = (message, progress) => {
+            if (!job.isAborted) reportProgress(message, progress);
+        };
+
+        this.stats.totalEnhancements++;
+        this.callbacks.onStart();
+        onProgress('Analyzing image...', 5);
+        job.start();
+
+        const chain = this.registry.getChain();
+        if (chain.length === 0) {
+            job.finish();
+            return this.handleFailure(new Error('No enhancement provider available'), null, startTime);
+        }
+
+        // Only prompt-driven providers need the analysis
+        const analysis = !promptOverride && chain.some(adapter => adapter.capabilities.supportsPrompt)
+            ? await this.analyzePhoto(imageDataUrl)
+            : null;
+        const photo = { sceneDescription, detectedObjects, analysis, capturedAt, style: preset.promptStyle };
+
+        // Reported when every provider's trial slot is taken
+        let lastError = new Error('No enhancement provider available');
+        let prompts = null;
+
+        for (let i = 0; i < chain.length; i++) {
+            const adapter = chain[i];
+            // Providers that take no prompt are reported without one
+            prompts = !adapter.capabilities.supportsPrompt
+                ? { prompt: null, negativePrompt: null }
+                : promptOverride || this.promptBuilder.build(adapter.name, photo);
+            const { prompt, negativePrompt } = prompts;
+
+            // A recovering provider takes one trial request at a time
+            if (!this.registry.beginRequest(adapter.name)) {
+                continue;
+            }
+
+            if (i > 0) {
+                this.stats.fallbackEnhancements++;
+                onProgress(`Trying ${adapter.label}...`, 10);
+            }
+
+            try {
+                const enhancedImageUrl = await job.run(async () => {
+                    const input = await this.prepareInput(imageDataUrl, detectedObjects, adapter);
+                    return adapter.enhance(
+                        input.imageDataUrl,
+                        prompt,
+                        this.registry.getApiKey(adapter.name),
+                        onProgress,
+                        { ...context, detectedObjects: input.detectedObjects, negativePrompt }
+                    );
+                });
+
+                job.finish();
+                this.registry.recordSuccess(adapter.name);
+
+                const processingTime = Math.round(performance.now() - startTime);
+                this.recordSuccess(adapter.label, processingTime);
+
+                onProgress('Enhancement complete', 100);
+                this.callbacks.onComplete(enhancedImageUrl, prompt, processingTime);
+
+                return {
+                    success: true,
+                    enhancedImageUrl: enhancedImageUrl,
+                    prompt: prompt,
+                    negativePrompt: negativePrompt,
+                    processingTime: processingTime,
+                    method: adapter.label,
+                    provider: adapter.name,
+                    style: style
+                };
+            } catch (error) {
+                if (job.isAborted) {
+                    // A provider that blew the time budget counts against its health
+                    if (job.status === JobStatus.TIMED_OUT) {
+                        this.registry.recordFailure(adapter.name, job.signal.reason);
+                    } else {
+                        this.registry.endRequest(adapter.name);
+                    }
+                    return this.handleAbort(job, prompt, startTime);
+                }
+
+                console.error(`${adapter.label} enhancement failed:`, error);
+                this.registry.recordFailure(adapter.name, error);
+                lastError = error;
+            }
+        }
+
+        job.finish();
+        return this.handleFailure(lastError, prompts && prompts.prompt, startTime);
+    }
+
+    /**
+     * Downscale the input to what the provider accepts. Detections are
+     * scaled with it so they keep matching the pixels.
+     */
+    async prepareInput(imageDataUrl, detectedObjects, adapter) {
+        const maxResolution = adapter.capabilities.maxResolution;
+        if (!Number.isFinite(maxResolution)) {
+            return { imageDataUrl, detectedObjects };
+        }
+
+        const img = await loadImage(imageDataUrl);
+        const scale = maxResolution / Math.max(img.width, img.height);
+        if (scale >= 1) {
+            return { imageDataUrl, detectedObjects };
+        }
+
+        return {
+            imageDataUrl: await downscaleDataUrl(imageDataUrl, maxResolution),
+            detectedObjects: detectedObjects.map(detection => scaleDetection(detection, scale))
+        };
+    }
+
+    /**
+     * Report a failed enhancement
+     */
+    handleFailure(error, prompt, startTime) {
+        this.stats.failedEnhancements++;
+        this.callbacks.onError(error);
+
+        return {
+            success: false,
+            error: error.message,
+            prompt: prompt,
+            processingTime: Math.round(performance.now() - startTime),
+            method: null
+        };
+    }
+
+    /**
+     * Report a cancelled or timed out enhancement
+     */
+    handleAbort(job, prompt, startTime) {
+        const timedOut = job.status === JobStatus.TIMED_OUT;
+
+        if (timedOut) {
+            this.stats.timedOutEnhancements++;
+        } else {
+            this.stats.cancelledEnhancements++;
+        }
+
+        return {
+            success: false,
+            cancelled: !timedOut,
+            timedOut: timedOut,
+            error: job.signal.reason.message,
+            prompt: prompt,
+            processingTime: Math.round(performance.now() - startTime),
+            method: null
+        };
+    }
+
+    recordSuccess(method, processingTime) {
+        this.stats.successfulEnhancements++;
+        this.stats.totalProcessingTime += processingTime;
+        this.stats.averageProcessingTime = Math.round(
+            this.stats.totalProcessingTime / this.stats.successfulEnhancements
+        );
+        this.stats.byMethod[method] = (this.stats.byMethod[method] || 0) + 1;
+    }
+
+    /**
+     * Check that the selected provider is reachable and the key is valid
+     */
+    async testApiConfig() {
+        const adapter = this.registry.get(this.provider);
+
+        try {
+            const message = await adapter.test(this.registry.getApiKey(this.provider));
+            this.registry.recordSuccess(adapter.name);
+            return { success: true, message: message };
+        } catch (error) {
+            return {
+                success: false,
+                message: `${error.message} - the next provider in the fallback order will be used`
+            };
+        }
+    }
+
+    /**
+     * Provider list with capabilities and health, in fallback order
+     */
+    getProviderStatus() {
+        return this.registry.list().map(adapter => ({
+            name: adapter.name,
+            label: adapter.label,
+            capabilities: { ...adapter.capabilities },
+            configured: this.registry.isConfigured(adapter.name),
+            health: this.registry.getHealth(adapter.name)
+        }));
+    }
+
+    /**
+     * Get enhancement statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            byMethod: { ...this.stats.byMethod },
+            provider: this.provider,
+            providers: this.getProviderStatus()
+        };
+    }
+}
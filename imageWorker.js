@@ -0,0 +1,44 @@
+/**
+ * Image Worker
+ * Runs heavy OpenCV work off the main thread so the page stays responsive.
+ * A classic worker so OpenCV.js can be loaded with importScripts; the
+ * processing modules are ES modules pulled in with import().
+ */
+
+/**
+ * Whether OpenCV.js loads here and can merge frames in `mode`
+ */
+async function canMerge({ mode }) {
+    const { loadOpenCv } = await import('./opencvLoader.js');
+    const { supportsMerge } = await import('./frameMerge.js');
+    return { supported: await loadOpenCv() && supportsMerge(self.cv, mode) };
+}
+
+async function merge({ images, mode }) {
+    const { loadOpenCv } = await import('./opencvLoader.js');
+    const { mergeFrames } = await import('./frameMerge.js');
+    if (!await loadOpenCv()) throw new Error('OpenCV.js is not available');
+
+    const { image, used } = mergeFrames(images, mode);
+    return { image, used, transfer: [image.data.buffer] };
+}
+
+async function enhance({ image, settings, detections }) {
+    const { enhanceImage } = await import('./enhancementPipeline.js');
+
+    const output = await enhanceImage(image, settings, { detections });
+    return { image: output, transfer: [output.data.buffer] };
+}
+
+const handlers = { canMerge, merge, enhance };
+
+self.onmessage = async (event) => {
+    const { id, type } = event.data;
+
+    try {
+        const { transfer = [], ...result } = await handlers[type](event.data);
+        self.postMessage({ id, ...result }, transfer);
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
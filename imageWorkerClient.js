@@ -0,0 +1,66 @@
+/**
+ * Image Worker Client
+ * Hands tasks to imageWorker.js. Each task has a worker to itself, so
+ * aborting one terminates its worker without touching the others; a
+ * finished worker is kept for the next task so OpenCV.js loads once.
+ */
+
+const WORKER_URL = new URL('./imageWorker.js', import.meta.url);
+
+let idleWorker = null;
+let nextRequestId = 0;
+
+/**
+ * Run `type` in an image worker with the fields of `message`. `transfer`
+ * lists buffers to move instead of copy. Rejects with the signal's reason
+ * when `signal` aborts.
+ */
+export function runInImageWorker(type, message = {}, { transfer = [], signal = null } = {}) {
+    if (signal && signal.aborted) {
+        return Promise.reject(signal.reason);
+    }
+
+    const worker = idleWorker || new Worker(WORKER_URL);
+    idleWorker = null;
+
+    return new Promise((resolve, reject) => {
+        const id = ++nextRequestId;
+
+        const settle = () => {
+            worker.onmessage = null;
+            worker.onerror = null;
+            if (signal) signal.removeEventListener('abort', abort);
+        };
+        const abort = () => {
+            settle();
+            worker.terminate();
+            reject(signal.reason);
+        };
+
+        worker.onmessage = (event) => {
+            const { id: replyId, error, ...result } = event.data;
+            if (replyId !== id) return;
+
+            settle();
+            if (idleWorker) {
+                worker.terminate();
+            } else {
+                idleWorker = worker;
+            }
+
+            if (error) {
+                reject(new Error(error));
+            } else {
+                resolve(result);
+            }
+        };
+        worker.onerror = (event) => {
+            settle();
+            worker.terminate();
+            reject(new Error(event.message || 'Image worker failed'));
+        };
+
+        if (signal) signal.addEventListener('abort', abort, { once: true });
+        worker.postMessage({ ...message, id, type }, transfer);
+    });
+}
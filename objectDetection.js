@@ -1,37 +1,66 @@
 /**
- * Object Detection Module using OpenCV.js
- * Detects and classifies common objects including humans
+ * Object Detection Module
+ * Runs a pluggable detector backend on downscaled video frames in a Web
+ * Worker, tracks what it finds across frames and draws, summarizes and
+ * describes the tracked objects. Backends return detections shaped as
+ * { type, rect, confidence, center }; tracked objects add a stable `id`.
  */
 
-class ObjectDetector {
-    constructor() {
+import { ObjectTypes } from './detectors/objectTypes.js';
+import { DETECTOR_BACKENDS, DEFAULT_DETECTOR } from './detectors/backends.js';
+import { ObjectTracker, calculateIoU } from './objectTracker.js';
+import { createDetectorConfig } from './detectors/detectorConfig.js';
+
+export { DETECTOR_BACKENDS, DEFAULT_DETECTOR };
+
+// Colors for labels without a fixed color (model classes)
+const LABEL_PALETTE = ['#ff9f43', '#1dd1a1', '#48dbfb', '#f368e0', '#ff6b81', '#c8d6e5', '#feca57', '#5f27cd'];
+
+const WORKER_SUPPORTED = typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap !== 'undefined';
+
+export class ObjectDetector {
+    constructor(backendName = DEFAULT_DETECTOR) {
         this.isInitialized = false;
         this.detectedObjects = [];
-        this.src = null;
-        this.dst = null;
-        this.gray = null;
-        this.contours = null;
-        this.hierarchy = null;
-        
-        // Object classification thresholds and parameters
-        this.minContourArea = 1500;
-        this.humanAspectRatioMin = 0.3;
-        this.humanAspectRatioMax = 0.8;
-        this.faceDetectionEnabled = false;
+        this.backendName = DETECTOR_BACKENDS[backendName] ? backendName : DEFAULT_DETECTOR;
+        
+        // Detection runs in a worker; browsers without OffscreenCanvas run
+        // the backend on the page instead
+        this.worker = null;
+        this.requests = new Map();
+        this.nextRequestId = 0;
+        this.backend = null;
+        this.frameCanvas = null;
+        
+        // Frames are downscaled so their longest side is at most this
+        this.maxFrameSide = 640;
+        this.frameScale = 1;
+        this.frameWidth = 0;
+        this.frameHeight = 0;
+        
+        // At most one frame in flight: frames arriving meanwhile are skipped,
+        // and the rate drops below targetFps when detection is slower
+        this.targetFps = 15;
+        this.averageDetectionMs = 0;
+        this.lastSubmitTime = 0;
+        this.inFlight = false;
+        
+        // Bumped on cleanup so stale results are dropped
+        this.generation = 0;
+        
+        // Stable IDs and smoothing across frames
+        this.tracker = new ObjectTracker();
+        
+        // Tunable parameters; with debug on, backends that support it send
+        // their intermediate images to onDebugFrame
+        this.config = createDetectorConfig();
+        this.debug = false;
+        this.onDebugFrame = null;
         
         // Common object types we can detect
-        this.objectTypes = {
-            HUMAN: 'person',
-            FACE: 'face',
-            RECTANGULAR: 'rectangular object',
-            CIRCULAR: 'circular object', 
-            SQUARE: 'square object',
-            VERTICAL: 'vertical object',
-            HORIZONTAL: 'horizontal object',
-            SMALL: 'small object',
-            LARGE: 'large object',
-            UNKNOWN: 'object'
-        };
+        this.objectTypes = ObjectTypes;
         
         // Color scheme for different object types
         this.objectColors = {
@@ -49,239 +78,230 @@ class ObjectDetector {
     }
 
     /**
-     * Initialize OpenCV matrices and classifiers
+     * Switch backend; takes effect on the next initialize
      */
-    initialize(videoWidth, videoHeight) {
-        try {
-            this.src = new cv.Mat(videoHeight, videoWidth, cv.CV_8UC4);
-            this.dst = new cv.Mat(videoHeight, videoWidth, cv.CV_8UC1);
-            this.gray = new cv.Mat();
-            this.contours = new cv.MatVector();
-            this.hierarchy = new cv.Mat();
-            
-            this.isInitialized = true;
-            console.log('Object detector initialized successfully');
-            return true;
-        } catch (error) {
-            console.error('Failed to initialize object detector:', error);
-            return false;
+    setBackend(backendName) {
+        if (!DETECTOR_BACKENDS[backendName]) {
+            throw new Error(`Unknown detector: ${backendName}`);
         }
+        this.backendName = backendName;
     }
 
     /**
-     * Process video frame and detect objects
+     * Apply new parameters to the running backend
      */
-    processFrame(ctx, video, canvas) {
-        if (!this.isInitialized) return [];
+    configure(config) {
+        this.config = config;
+        
+        if (this.backend && this.backend.configure) {
+            this.backend.configure(config);
+        }
+        if (this.worker) {
+            this.request({ type: 'configure', config }).catch(error => {
+                console.error('Failed to configure detector:', error);
+            });
+        }
+    }
 
+    /**
+     * Prepare the selected backend for frames of the given video size
+     */
+    async initialize(videoWidth, videoHeight) {
+        this.cleanup();
+        const generation = this.generation;
+        
+        this.frameScale = Math.min(1, this.maxFrameSide / Math.max(videoWidth, videoHeight));
+        this.frameWidth = Math.round(videoWidth * this.frameScale);
+        this.frameHeight = Math.round(videoHeight * this.frameScale);
+        
         try {
-            // Clear previous detections
-            this.detectedObjects = [];
-            
-            // Capture current frame
-            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-            let imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            this.src.data.set(imageData.data);
-            
-            // Convert to grayscale for processing
-            cv.cvtColor(this.src, this.gray, cv.COLOR_RGBA2GRAY);
-            
-            // Apply preprocessing
-            this.preprocessImage();
-            
-            // Find contours
-            cv.findContours(this.dst, this.contours, this.hierarchy, 
-                           cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
-            
-            // Redraw original frame
-            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-            
-            // Analyze and classify each contour
-            this.analyzeContours(ctx);
-            
-            // Draw detection results
-            this.drawDetections(ctx);
+            let label;
+            if (WORKER_SUPPORTED) {
+                ({ label } = await this.request({
+                    type: 'initialize',
+                    backendName: this.backendName,
+                    width: this.frameWidth,
+                    height: this.frameHeight,
+                    config: this.config
+                }));
+            } else {
+                const backend = new DETECTOR_BACKENDS[this.backendName]();
+                if (backend.configure) backend.configure(this.config);
+                await backend.initialize(this.frameWidth, this.frameHeight);
+                this.backend = backend;
+                label = backend.label;
+            }
             
-            return this.detectedObjects;
+            // Superseded by another initialize or a cleanup meanwhile
+            if (generation !== this.generation) return false;
             
+            this.isInitialized = true;
+            console.log(`Object detector initialized: ${label} (${this.frameWidth}x${this.frameHeight})`);
+            return true;
         } catch (error) {
-            console.error('Error processing frame:', error);
-            return [];
+            console.error('Failed to initialize object detector:', error);
+            return false;
         }
     }
 
     /**
-     * Preprocess image for better contour detection
-     */
-    preprocessImage() {
-        // Apply Gaussian blur to reduce noise
-        cv.GaussianBlur(this.gray, this.gray, new cv.Size(5, 5), 0, 0, cv.BORDER_DEFAULT);
-        
-        // Apply adaptive threshold for better edge detection
-        cv.adaptiveThreshold(this.gray, this.dst, 255, 
-                           cv.ADAPTIVE_THRESH_GAUSSIAN_C, 
-                           cv.THRESH_BINARY, 11, 2);
-        
-        // Apply morphological operations to clean up
-        let kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3));
-        cv.morphologyEx(this.dst, this.dst, cv.MORPH_CLOSE, kernel);
-        kernel.delete();
-    }
-
-    /**
-     * Analyze contours and classify objects
+     * Send a message to the detection worker, resolving with its reply
      */
-    analyzeContours(ctx) {
-        for (let i = 0; i < this.contours.size(); i++) {
-            let contour = this.contours.get(i);
-            let area = cv.contourArea(contour);
-            
-            // Filter out small contours
-            if (area < this.minContourArea) {
-                contour.delete();
-                continue;
-            }
-            
-            // Get bounding rectangle
-            let rect = cv.boundingRect(contour);
-            
-            // Calculate geometric properties
-            let aspectRatio = rect.width / rect.height;
-            let extent = area / (rect.width * rect.height);
-            let perimeter = cv.arcLength(contour, true);
-            let circularity = 4 * Math.PI * area / (perimeter * perimeter);
-            
-            // Classify object type
-            let objectType = this.classifyObject(rect, aspectRatio, extent, circularity, area);
-            
-            // Create detection object
-            let detection = {
-                type: objectType,
-                rect: rect,
-                area: area,
-                aspectRatio: aspectRatio,
-                circularity: circularity,
-                extent: extent,
-                confidence: this.calculateConfidence(objectType, aspectRatio, circularity, extent),
-                center: {
-                    x: rect.x + rect.width / 2,
-                    y: rect.y + rect.height / 2
+    request(message, transfer = []) {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./detectors/detectionWorker.js', import.meta.url));
+            this.worker.onmessage = (event) => {
+                const { id, error, ...result } = event.data;
+                const pending = this.requests.get(id);
+                if (!pending) return;
+                
+                this.requests.delete(id);
+                if (error) {
+                    pending.reject(new Error(error));
+                } else {
+                    pending.resolve(result);
                 }
             };
-            
-            this.detectedObjects.push(detection);
-            contour.delete();
+            this.worker.onerror = (event) => {
+                const error = new Error(event.message || 'Detection worker failed');
+                this.requests.forEach(pending => pending.reject(error));
+                this.requests.clear();
+            };
         }
         
-        // Post-process detections
-        this.postProcessDetections();
+        const id = ++this.nextRequestId;
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage({ ...message, id }, transfer);
+        });
     }
 
     /**
-     * Classify object based on geometric properties
+     * Draw the latest detections and hand a new frame to the detector when
+     * it is free. Called every animation frame; never blocks on detection.
      */
-    classifyObject(rect, aspectRatio, extent, circularity, area) {
-        // Human detection based on aspect ratio and size
-        if (this.isLikelyHuman(rect, aspectRatio, area)) {
-            return this.objectTypes.HUMAN;
+    processFrame(ctx, video, canvas) {
+        if (!this.isInitialized) return this.detectedObjects;
+
+        const now = performance.now();
+        if (!this.inFlight && now - this.lastSubmitTime >= this.frameInterval) {
+            this.submitFrame(video);
         }
         
-        // Circular objects (high circularity)
-        if (circularity > 0.7) {
-            return this.objectTypes.CIRCULAR;
-        }
+        // The video element shows the feed; the canvas only carries the boxes
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        this.drawDetections(ctx);
         
-        // Square objects (aspect ratio close to 1)
-        if (aspectRatio >= 0.8 && aspectRatio <= 1.2) {
-            return this.objectTypes.SQUARE;
-        }
+        return this.detectedObjects;
+    }
+
+    /**
+     * Minimum time between submitted frames - stretched when detection takes
+     * longer than the target frame time so the CPU is not kept saturated
+     */
+    get frameInterval() {
+        return Math.max(1000 / this.targetFps, this.averageDetectionMs * 1.5);
+    }
+
+    async submitFrame(video) {
+        const generation = this.generation;
+        const startTime = performance.now();
+        this.inFlight = true;
+        this.lastSubmitTime = startTime;
         
-        // Rectangular objects
-        if (aspectRatio > 1.5 || aspectRatio < 0.67) {
-            if (aspectRatio > 1.5) {
-                return this.objectTypes.HORIZONTAL;
-            } else {
-                return this.objectTypes.VERTICAL;
+        try {
+            const { detections, debugImage } = await this.detectFrame(video);
+            if (generation !== this.generation) return;
+            
+            if (debugImage && this.debug && this.onDebugFrame) {
+                this.onDebugFrame(debugImage);
+            }
+            
+            const elapsed = performance.now() - startTime;
+            this.averageDetectionMs = this.averageDetectionMs
+                ? this.averageDetectionMs * 0.8 + elapsed * 0.2
+                : elapsed;
+            
+            this.detectedObjects = this.tracker.update(this.postProcessDetections(
+                detections.map(detection => this.toVideoCoordinates(detection))
+            ));
+        } catch (error) {
+            if (generation === this.generation) {
+                console.error('Error processing frame:', error);
+            }
+        } finally {
+            if (generation === this.generation) {
+                this.inFlight = false;
             }
         }
-        
-        // Size-based classification
-        if (area > 50000) {
-            return this.objectTypes.LARGE;
-        } else if (area < 5000) {
-            return this.objectTypes.SMALL;
-        }
-        
-        return this.objectTypes.RECTANGULAR;
     }
 
     /**
-     * Determine if contour is likely a human
+     * Run the backend on a downscaled copy of the current video frame
      */
-    isLikelyHuman(rect, aspectRatio, area) {
-        // Human-like aspect ratio (taller than wide)
-        if (aspectRatio < this.humanAspectRatioMin || aspectRatio > this.humanAspectRatioMax) {
-            return false;
+    async detectFrame(video) {
+        if (WORKER_SUPPORTED) {
+            const bitmap = await createImageBitmap(video, {
+                resizeWidth: this.frameWidth,
+                resizeHeight: this.frameHeight,
+                resizeQuality: 'low'
+            });
+            return this.request({ type: 'detect', bitmap, debug: this.debug }, [bitmap]);
         }
         
-        // Reasonable size for human detection
-        if (area < 10000 || area > 200000) {
-            return false;
+        if (!this.frameCanvas) {
+            this.frameCanvas = document.createElement('canvas');
         }
+        this.frameCanvas.width = this.frameWidth;
+        this.frameCanvas.height = this.frameHeight;
         
-        // Height should be significant portion of frame
-        if (rect.height < 100) {
-            return false;
-        }
+        const frameCtx = this.frameCanvas.getContext('2d', { willReadFrequently: true });
+        frameCtx.drawImage(video, 0, 0, this.frameWidth, this.frameHeight);
         
-        return true;
+        const detections = await this.backend.detect(frameCtx.getImageData(0, 0, this.frameWidth, this.frameHeight));
+        const debugImage = this.debug && this.backend.renderDebug ? this.backend.renderDebug() : null;
+        return { detections, debugImage };
     }
 
     /**
-     * Calculate confidence score for detection
+     * Scale a detection from the downscaled frame back to video pixels
      */
-    calculateConfidence(objectType, aspectRatio, circularity, extent) {
-        let confidence = 0.5; // Base confidence
-        
-        switch (objectType) {
-            case this.objectTypes.HUMAN:
-                // Higher confidence for human-like aspect ratios
-                if (aspectRatio >= 0.4 && aspectRatio <= 0.6) {
-                    confidence = 0.8;
-                } else {
-                    confidence = 0.6;
-                }
-                break;
-                
-            case this.objectTypes.CIRCULAR:
-                confidence = Math.min(0.9, circularity);
-                break;
-                
-            case this.objectTypes.SQUARE:
-                confidence = 1.0 - Math.abs(aspectRatio - 1.0);
-                break;
-                
-            default:
-                confidence = Math.min(0.7, extent);
-        }
+    toVideoCoordinates(detection) {
+        const scale = 1 / this.frameScale;
+        const rect = {
+            x: Math.round(detection.rect.x * scale),
+            y: Math.round(detection.rect.y * scale),
+            width: Math.round(detection.rect.width * scale),
+            height: Math.round(detection.rect.height * scale)
+        };
         
-        return Math.max(0.1, Math.min(0.9, confidence));
+        return {
+            ...detection,
+            rect: rect,
+            area: detection.area * scale * scale,
+            center: {
+                x: rect.x + rect.width / 2,
+                y: rect.y + rect.height / 2
+            }
+        };
     }
 
     /**
      * Post-process detections to remove duplicates and improve accuracy
      */
-    postProcessDetections() {
-        // Remove overlapping detections
-        this.detectedObjects = this.removeOverlappingDetections(this.detectedObjects);
+    postProcessDetections(detections) {
+        // Greedy NMS keeps the first of overlapping boxes: faces come from a
+        // trained classifier and beat contour guesses, then by confidence
+        detections.sort((a, b) =>
+            (b.type === this.objectTypes.FACE) - (a.type === this.objectTypes.FACE) ||
+            b.confidence - a.confidence
+        );
         
-        // Sort by confidence
-        this.detectedObjects.sort((a, b) => b.confidence - a.confidence);
+        // Remove overlapping detections
+        detections = this.removeOverlappingDetections(detections);
         
-        // Limit to top 10 detections
-        if (this.detectedObjects.length > 10) {
-            this.detectedObjects = this.detectedObjects.slice(0, 10);
-        }
+        // Limit to the top detections
+        return detections.slice(0, this.config.maxDetections);
     }
 
     /**
@@ -289,7 +309,7 @@ class ObjectDetector {
      */
     removeOverlappingDetections(detections) {
         const filtered = [];
-        const overlapThreshold = 0.5;
+        const overlapThreshold = this.config.overlapThreshold;
         
         for (let i = 0; i < detections.length; i++) {
             let keep = true;
@@ -314,19 +334,7 @@ class ObjectDetector {
      * Calculate overlap between two rectangles
      */
     calculateOverlap(rect1, rect2) {
-        const x1 = Math.max(rect1.x, rect2.x);
-        const y1 = Math.max(rect1.y, rect2.y);
-        const x2 = Math.min(rect1.x + rect1.width, rect2.x + rect2.width);
-        const y2 = Math.min(rect1.y + rect1.height, rect2.y + rect2.height);
-        
-        if (x2 <= x1 || y2 <= y1) return 0;
-        
-        const intersection = (x2 - x1) * (y2 - y1);
-        const area1 = rect1.width * rect1.height;
-        const area2 = rect2.width * rect2.height;
-        const union = area1 + area2 - intersection;
-        
-        return intersection / union;
+        return calculateIoU(rect1, rect2);
     }
 
     /**
@@ -334,7 +342,7 @@ class ObjectDetector {
      */
     drawDetections(ctx) {
         this.detectedObjects.forEach((detection, index) => {
-            const color = this.objectColors[detection.type] || this.objectColors[this.objectTypes.UNKNOWN];
+            const color = this.getColor(detection.type);
             
             // Draw bounding box
             ctx.strokeStyle = color;
@@ -343,7 +351,8 @@ class ObjectDetector {
                           detection.rect.width, detection.rect.height);
             
             // Draw label background
-            const label = `${detection.type} (${Math.round(detection.confidence * 100)}%)`;
+            const id = detection.id ? ` #${detection.id}` : '';
+            const label = `${detection.type}${id} (${Math.round(detection.confidence * 100)}%)`;
             ctx.font = '14px Arial';
             const textWidth = ctx.measureText(label).width;
             
@@ -362,6 +371,21 @@ class ObjectDetector {
         });
     }
 
+    /**
+     * Fixed color for known types, a stable palette color for model classes
+     */
+    getColor(type) {
+        if (this.objectColors[type]) {
+            return this.objectColors[type];
+        }
+        
+        let hash = 0;
+        for (let i = 0; i < type.length; i++) {
+            hash = (hash * 31 + type.charCodeAt(i)) >>> 0;
+        }
+        return LABEL_PALETTE[hash % LABEL_PALETTE.length];
+    }
+
     /**
      * Get detection summary for UI
      */
@@ -408,14 +432,18 @@ class ObjectDetector {
         
         let description = "";
         
-        // Prioritize humans in description
-        if (summary.types[this.objectTypes.HUMAN]) {
-            const count = summary.types[this.objectTypes.HUMAN].count;
-            description += count === 1 ? "a person" : `${count} people`;
+        // Prioritize humans in description - a face is a person even when
+        // the body was not picked up
+        const people = Math.max(
+            summary.types[this.objectTypes.HUMAN] ? summary.types[this.objectTypes.HUMAN].count : 0,
+            summary.types[this.objectTypes.FACE] ? summary.types[this.objectTypes.FACE].count : 0
+        );
+        if (people > 0) {
+            description += people === 1 ? "a person" : `${people} people`;
         }
         
         // Add other significant objects
-        const otherTypes = types.filter(type => type !== this.objectTypes.HUMAN);
+        const otherTypes = types.filter(type => type !== this.objectTypes.HUMAN && type !== this.objectTypes.FACE);
         if (otherTypes.length > 0 && description) {
             description += " with ";
         }
@@ -434,14 +462,19 @@ class ObjectDetector {
      * Cleanup resources
      */
     cleanup() {
-        if (this.src) this.src.delete();
-        if (this.dst) this.dst.delete();
-        if (this.gray) this.gray.delete();
-        if (this.contours) this.contours.delete();
-        if (this.hierarchy) this.hierarchy.delete();
+        this.generation++;
         this.isInitialized = false;
+        this.inFlight = false;
+        this.averageDetectionMs = 0;
+        this.detectedObjects = [];
+        this.tracker.reset();
+        
+        if (this.backend) this.backend.cleanup();
+        this.backend = null;
+        
+        // The worker stays up so a loaded model is reused
+        if (this.worker) {
+            this.request({ type: 'cleanup' }).catch(() => {});
+        }
     }
 }
-
-// Export for use in main app
-window.ObjectDetector = ObjectDetector;
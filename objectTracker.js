@@ -0,0 +1,178 @@
+/**
+ * Object Tracker
+ * Links detections across frames into tracks with stable IDs, smoothing
+ * boxes and confidence. Tracks appear after a few consecutive hits and
+ * linger for a few misses, so labels do not flicker.
+ */
+
+/**
+ * Intersection over union of two rectangles
+ */
+export function calculateIoU(rect1, rect2) {
+    const x1 = Math.max(rect1.x, rect2.x);
+    const y1 = Math.max(rect1.y, rect2.y);
+    const x2 = Math.min(rect1.x + rect1.width, rect2.x + rect2.width);
+    const y2 = Math.min(rect1.y + rect1.height, rect2.y + rect2.height);
+
+    if (x2 <= x1 || y2 <= y1) return 0;
+
+    const intersection = (x2 - x1) * (y2 - y1);
+    const area1 = rect1.width * rect1.height;
+    const area2 = rect2.width * rect2.height;
+    const union = area1 + area2 - intersection;
+
+    return intersection / union;
+}
+
+export class ObjectTracker {
+    constructor() {
+        this.tracks = [];
+        this.nextId = 1;
+
+        // Minimum IoU for a detection to continue a track
+        this.matchThreshold = 0.3;
+        // Same-type matches win over a slightly better overlap of another type
+        this.sameTypeBonus = 0.1;
+
+        // Hysteresis: hits before a track is shown, misses before it is dropped
+        this.minHits = 3;
+        this.maxMisses = 5;
+
+        // Exponential smoothing weights for the newest observation
+        this.positionSmoothing = 0.5;
+        this.confidenceSmoothing = 0.3;
+
+        // How quickly older type votes fade (per update)
+        this.typeDecay = 0.8;
+    }
+
+    /**
+     * Feed one frame's detections; returns the confirmed tracks
+     */
+    update(detections) {
+        const matches = this.match(detections);
+        const matchedTracks = new Set();
+        const matchedDetections = new Set();
+
+        matches.forEach(({ track, detection }) => {
+            this.updateTrack(track, detection);
+            matchedTracks.add(track);
+            matchedDetections.add(detection);
+        });
+
+        this.tracks = this.tracks.filter(track => {
+            if (matchedTracks.has(track)) return true;
+
+            track.misses++;
+            track.confidence *= 0.8;
+
+            // Tentative tracks go on the first miss, confirmed ones after maxMisses
+            return track.confirmed && track.misses <= this.maxMisses;
+        });
+
+        detections
+            .filter(detection => !matchedDetections.has(detection))
+            .forEach(detection => this.tracks.push(this.createTrack(detection)));
+
+        return this.getTrackedObjects();
+    }
+
+    /**
+     * Greedy matching on IoU, best pairs first
+     */
+    match(detections) {
+        const candidates = [];
+
+        this.tracks.forEach(track => {
+            detections.forEach(detection => {
+                const iou = calculateIoU(track.rect, detection.rect);
+                if (iou < this.matchThreshold) return;
+
+                const score = iou + (detection.type === track.type ? this.sameTypeBonus : 0);
+                candidates.push({ track, detection, score });
+            });
+        });
+
+        candidates.sort((a, b) => b.score - a.score);
+
+        const usedTracks = new Set();
+        const usedDetections = new Set();
+        return candidates.filter(({ track, detection }) => {
+            if (usedTracks.has(track) || usedDetections.has(detection)) return false;
+            usedTracks.add(track);
+            usedDetections.add(detection);
+            return true;
+        });
+    }
+
+    createTrack(detection) {
+        return {
+            id: this.nextId++,
+            type: detection.type,
+            typeVotes: { [detection.type]: detection.confidence },
+            rect: { ...detection.rect },
+            confidence: detection.confidence,
+            hits: 1,
+            misses: 0,
+            confirmed: this.minHits <= 1
+        };
+    }
+
+    updateTrack(track, detection) {
+        const a = this.positionSmoothing;
+        track.rect = {
+            x: track.rect.x + (detection.rect.x - track.rect.x) * a,
+            y: track.rect.y + (detection.rect.y - track.rect.y) * a,
+            width: track.rect.width + (detection.rect.width - track.rect.width) * a,
+            height: track.rect.height + (detection.rect.height - track.rect.height) * a
+        };
+        track.confidence += (detection.confidence - track.confidence) * this.confidenceSmoothing;
+
+        // The label follows the type seen most (and most confidently) lately
+        Object.keys(track.typeVotes).forEach(type => {
+            track.typeVotes[type] *= this.typeDecay;
+        });
+        track.typeVotes[detection.type] = (track.typeVotes[detection.type] || 0) + detection.confidence;
+        track.type = Object.keys(track.typeVotes).reduce((best, type) =>
+            track.typeVotes[type] > track.typeVotes[best] ? type : best
+        );
+
+        track.hits++;
+        track.misses = 0;
+        if (track.hits >= this.minHits) {
+            track.confirmed = true;
+        }
+    }
+
+    /**
+     * Confirmed tracks in the detection shape, plus their track ID
+     */
+    getTrackedObjects() {
+        return this.tracks
+            .filter(track => track.confirmed)
+            .map(track => {
+                const rect = {
+                    x: Math.round(track.rect.x),
+                    y: Math.round(track.rect.y),
+                    width: Math.round(track.rect.width),
+                    height: Math.round(track.rect.height)
+                };
+
+                return {
+                    id: track.id,
+                    type: track.type,
+                    rect: rect,
+                    area: rect.width * rect.height,
+                    confidence: track.confidence,
+                    center: {
+                        x: rect.x + rect.width / 2,
+                        y: rect.y + rect.height / 2
+                    }
+                };
+            });
+    }
+
+    reset() {
+        this.tracks = [];
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * OpenCV.js Loader
+ * Loads OpenCV.js (script tag on the page, importScripts in a worker) and
+ * resolves once the WASM runtime is ready
+ */
+
+export const OPENCV_URL = 'https://docs.opencv.org/4.8.0/opencv.js';
+
+let loadPromise = null;
+
+/**
+ * Load OpenCV.js once. Resolves to true when `cv` is usable, false if the
+ * script could not be loaded in time (the app then runs without detection).
+ */
+export function loadOpenCv(src = OPENCV_URL, timeoutMs = 20000) {
+    if (loadPromise) return loadPromise;
+
+    loadPromise = new Promise((resolve) => {
+        // `self` is the window on the page and the global scope in a worker
+        if (self.cv && self.cv.Mat) {
+            resolve(true);
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            console.warn('OpenCV.js load timed out');
+            resolve(false);
+        }, timeoutMs);
+
+        const ready = () => {
+            clearTimeout(timer);
+            resolve(true);
+        };
+
+        const loaded = () => {
+            // The WASM build finishes compiling after the script itself loads
+            if (self.cv && self.cv.Mat) {
+                ready();
+            } else if (self.cv) {
+                self.cv.onRuntimeInitialized = ready;
+            } else {
+                clearTimeout(timer);
+                resolve(false);
+            }
+        };
+
+        const failed = () => {
+            clearTimeout(timer);
+            console.warn('Failed to load OpenCV.js');
+            resolve(false);
+        };
+
+        // Workers have no document to add a script tag to
+        if (typeof importScripts === 'function') {
+            try {
+                importScripts(src);
+                loaded();
+            } catch (error) {
+                failed();
+            }
+            return;
+        }
+
+        const script = document.createElement('script');
+        script.async = true;
+        script.src = src;
+        script.onload = loaded;
+        script.onerror = failed;
+
+        document.head.appendChild(script);
+    });
+
+    return loadPromise;
+}
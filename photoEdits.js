@@ -0,0 +1,244 @@
+/**
+ * Photo Edits
+ * Non-destructive manual edits: quarter-turn rotation, straightening, crop
+ * and tone adjustments. Records keep only the parameters; pixels are
+ * rendered from the stored image whenever they are needed.
+ */
+
+// Crop rectangle covering the whole frame, in 0-1 frame coordinates
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+
+// Smallest crop, as a fraction of the frame side
+export const MIN_CROP_SIZE = 0.05;
+
+export const DEFAULT_EDITS = {
+    rotation: 0,      // Quarter turns clockwise (0-3)
+    straighten: 0,    // Degrees, the frame is zoomed to hide the corners
+    crop: FULL_CROP,  // Part of the straightened frame that is kept
+    exposure: 0,      // Stops
+    contrast: 0,
+    highlights: 0,
+    shadows: 0,
+    saturation: 0,
+    temperature: 0,   // Warmer (positive) or cooler (negative)
+    tint: 0,          // Magenta (positive) or green (negative)
+    sharpen: 0
+};
+
+// Sliders in the editor, in the order shown
+export const EDIT_PARAMETERS = [
+    { key: 'straighten', label: 'Straighten', min: -15, max: 15, step: 0.5 },
+    { key: 'exposure', label: 'Exposure', min: -2, max: 2, step: 0.05 },
+    { key: 'contrast', label: 'Contrast', min: -1, max: 1, step: 0.05 },
+    { key: 'highlights', label: 'Highlights', min: -1, max: 1, step: 0.05 },
+    { key: 'shadows', label: 'Shadows', min: -1, max: 1, step: 0.05 },
+    { key: 'saturation', label: 'Saturation', min: -1, max: 1, step: 0.05 },
+    { key: 'temperature', label: 'Temperature', min: -1, max: 1, step: 0.05 },
+    { key: 'tint', label: 'Tint', min: -1, max: 1, step: 0.05 },
+    { key: 'sharpen', label: 'Sharpen', min: 0, max: 1, step: 0.05 }
+];
+
+// Channel gain at full temperature or tint
+const MAX_TEMPERATURE_GAIN = 0.2;
+const MAX_TINT_GAIN = 0.15;
+
+// Largest lift or cut from the highlights and shadows sliders
+const TONE_STRENGTH = 2;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Complete, range-checked edits from stored or partial parameters
+ */
+export function createEdits(overrides = {}) {
+    const edits = { ...DEFAULT_EDITS, crop: { ...FULL_CROP } };
+    if (!overrides) return edits;
+
+    EDIT_PARAMETERS.forEach(({ key, min, max }) => {
+        const value = Number(overrides[key]);
+        if (overrides[key] !== undefined && Number.isFinite(value)) {
+            edits[key] = clamp(value, min, max);
+        }
+    });
+
+    const rotation = Math.round(Number(overrides.rotation));
+    if (Number.isFinite(rotation)) {
+        edits.rotation = ((rotation % 4) + 4) % 4;
+    }
+
+    edits.crop = clampCrop(overrides.crop || FULL_CROP);
+    return edits;
+}
+
+/**
+ * Keep a crop rectangle inside the frame and above the minimum size
+ */
+export function clampCrop(crop) {
+    const read = (value, fallback) => Number.isFinite(Number(value)) ? Number(value) : fallback;
+    const width = clamp(read(crop.width, 1), MIN_CROP_SIZE, 1);
+    const height = clamp(read(crop.height, 1), MIN_CROP_SIZE, 1);
+
+    return {
+        x: clamp(read(crop.x, 0), 0, 1 - width),
+        y: clamp(read(crop.y, 0), 0, 1 - height),
+        width: width,
+        height: height
+    };
+}
+
+/**
+ * The parameters that differ from the defaults - what a record stores -
+ * or null when nothing is edited
+ */
+export function getEditChanges(edits) {
+    const complete = createEdits(edits);
+    const changes = {};
+
+    Object.keys(DEFAULT_EDITS).forEach(key => {
+        if (key === 'crop') {
+            const { x, y, width, height } = complete.crop;
+            if (x !== 0 || y !== 0 || width !== 1 || height !== 1) changes.crop = complete.crop;
+        } else if (complete[key] !== DEFAULT_EDITS[key]) {
+            changes[key] = complete[key];
+        }
+    });
+
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Size of the rotated, straightened frame an image of `width` x `height`
+ * is cropped from
+ */
+export function getFrameSize(width, height, edits) {
+    return edits.rotation % 2 === 1
+        ? { width: height, height: width }
+        : { width: width, height: height };
+}
+
+/**
+ * Zoom that lets an image turned by `angle` radians cover its own frame
+ */
+function getStraightenZoom(width, height, angle) {
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    return Math.max((width * cos + height * sin) / width, (width * sin + height * cos) / height);
+}
+
+/**
+ * Render `source` (an image or canvas) with `edits` onto a new canvas.
+ * `maxSide` limits the output size; `crop: false` renders the whole frame
+ * so a crop can be drawn over it.
+ */
+export function renderEdits(source, edits, { maxSide = Infinity, crop = true } = {}) {
+    const settings = createEdits(edits);
+    const sourceWidth = source.naturalWidth || source.width;
+    const sourceHeight = source.naturalHeight || source.height;
+    const frame = getFrameSize(sourceWidth, sourceHeight, settings);
+
+    const area = crop
+        ? {
+            x: settings.crop.x * frame.width,
+            y: settings.crop.y * frame.height,
+            width: settings.crop.width * frame.width,
+            height: settings.crop.height * frame.height
+        }
+        : { x: 0, y: 0, width: frame.width, height: frame.height };
+    const scale = Math.min(1, maxSide / Math.max(area.width, area.height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(area.width * scale));
+    canvas.height = Math.max(1, Math.round(area.height * scale));
+
+    const angle = settings.straighten * Math.PI / 180;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.scale(scale, scale);
+    ctx.translate(frame.width / 2 - area.x, frame.height / 2 - area.y);
+    ctx.rotate(settings.rotation * Math.PI / 2 + angle);
+    const zoom = getStraightenZoom(frame.width, frame.height, angle);
+    ctx.scale(zoom, zoom);
+    ctx.drawImage(source, -sourceWidth / 2, -sourceHeight / 2);
+
+    if (hasToneEdits(settings)) {
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        applyToneEdits(image.data, settings);
+        if (settings.sharpen > 0) applySharpen(image, settings.sharpen);
+        ctx.putImageData(image, 0, 0);
+    }
+
+    return canvas;
+}
+
+function hasToneEdits(edits) {
+    return EDIT_PARAMETERS.some(({ key }) => key !== 'straighten' && edits[key] !== DEFAULT_EDITS[key]);
+}
+
+/**
+ * Exposure, white balance and the tone curve as one lookup table per
+ * channel, then saturation
+ */
+export function applyToneEdits(data, edits) {
+    const exposure = Math.pow(2, edits.exposure);
+    const contrast = 1 + edits.contrast * 0.6;
+    const gains = [
+        1 + edits.temperature * MAX_TEMPERATURE_GAIN,
+        1 - edits.tint * MAX_TINT_GAIN,
+        1 - edits.temperature * MAX_TEMPERATURE_GAIN
+    ];
+
+    const luts = gains.map(gain => {
+        const lut = new Uint8ClampedArray(256);
+        for (let value = 0; value < 256; value++) {
+            let x = Math.min(1, value * gain * exposure / 255);
+            // Bumps that peak at a quarter and three quarters of the range
+            x += edits.shadows * TONE_STRENGTH * x * Math.pow(1 - x, 3);
+            x += edits.highlights * TONE_STRENGTH * Math.pow(x, 3) * (1 - x);
+            x = 0.5 + (x - 0.5) * contrast;
+            lut[value] = x * 255;
+        }
+        return lut;
+    });
+
+    const saturation = 1 + edits.saturation;
+    for (let i = 0; i < data.length; i += 4) {
+        const r = luts[0][data[i]];
+        const g = luts[1][data[i + 1]];
+        const b = luts[2][data[i + 2]];
+
+        if (saturation === 1) {
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+        } else {
+            const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+            data[i] = gray + (r - gray) * saturation;
+            data[i + 1] = gray + (g - gray) * saturation;
+            data[i + 2] = gray + (b - gray) * saturation;
+        }
+    }
+}
+
+/**
+ * Unsharp mask over a 3x3 box blur; the border row and column are kept
+ */
+export function applySharpen(image, amount) {
+    const { data, width, height } = image;
+    const source = new Uint8ClampedArray(data);
+    const stride = width * 4;
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * stride + x * 4;
+            for (let c = 0; c < 3; c++) {
+                const p = i + c;
+                const blur = (
+                    source[p - stride - 4] + source[p - stride] + source[p - stride + 4] +
+                    source[p - 4] + source[p] + source[p + 4] +
+                    source[p + stride - 4] + source[p + stride] + source[p + stride + 4]
+                ) / 9;
+                data[p] = source[p] + (source[p] - blur) * amount * 2;
+            }
+        }
+    }
+}
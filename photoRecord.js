@@ -0,0 +1,203 @@
+/**
+ * Photo Record
+ * Versioned metadata schema for stored photos. Every capture starts a group;
+ * enhanced versions join the group of the original they were made from.
+ * Manual edits are kept as parameters in `edits` (see photoEdits.js) and
+ * never change the stored image. Records in Recently Deleted carry the time
+ * of deletion in `deletedAt`.
+ */
+
+// 1: groups, capture settings and enhancement details
+// 2: manual `edits`
+// 3: `deletedAt` for Recently Deleted
+export const PHOTO_RECORD_VERSION = 3;
+
+export const PhotoType = {
+    ORIGINAL: 'original',
+    ENHANCED: 'enhanced'
+};
+
+let lastIdTime = 0;
+let idSequence = 0;
+
+/**
+ * Unique, time-ordered id (Date.now() alone collides within a millisecond)
+ */
+export function createPhotoId() {
+    const now = Date.now();
+    idSequence = now === lastIdTime ? idSequence + 1 : 0;
+    lastIdTime = now;
+    return `${now.toString(36)}-${idSequence.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Record for a new capture. Frames of a burst share a `groupId` and carry
+ * `burst`: { index, count, offsetMs, sharpness, selected } - the selected
+ * frame is the group's original.
+ */
+export function createOriginalRecord({ timestamp = new Date().toISOString(), capture = {}, detections = [], groupId = null, burst = null } = {}) {
+    const id = createPhotoId();
+
+    return {
+        version: PHOTO_RECORD_VERSION,
+        id: id,
+        groupId: groupId || id,
+        type: PhotoType.ORIGINAL,
+        sourceId: null,
+        timestamp: timestamp,
+        capture: { ...capture },
+        burst: burst ? { ...burst } : null,
+        detections: detections.map(detection => ({
+            type: detection.type,
+            rect: detection.rect,
+            confidence: detection.confidence,
+            center: detection.center
+        })),
+        enhancement: null,
+        edits: null,
+        deletedAt: null
+    };
+}
+
+/**
+ * Record for an enhanced version of `original`
+ */
+export function createEnhancedRecord(original, result) {
+    return {
+        version: PHOTO_RECORD_VERSION,
+        id: createPhotoId(),
+        groupId: original.groupId,
+        type: PhotoType.ENHANCED,
+        sourceId: original.id,
+        timestamp: original.timestamp,
+        createdAt: new Date().toISOString(),
+        capture: { ...original.capture },
+        detections: [],
+        enhancement: {
+            method: result.method,
+            provider: result.provider || null,
+            style: result.style || null,
+            prompt: result.prompt || null,
+            negativePrompt: result.negativePrompt || null,
+            processingTime: result.processingTime || null
+        },
+        edits: null,
+        deletedAt: null
+    };
+}
+
+/**
+ * Bring a stored record up to the current schema one version at a time.
+ * Returns the record unchanged if it is already current.
+ */
+export function upgradePhotoRecord(record) {
+    let upgraded = record.version ? record : upgradeUnversionedRecord(record);
+
+    if (upgraded.version === 1) {
+        upgraded = {
+            ...upgraded,
+            version: 2,
+            edits: upgraded.edits || null
+        };
+    }
+
+    if (upgraded.version === 2) {
+        upgraded = {
+            ...upgraded,
+            version: 3,
+            deletedAt: upgraded.deletedAt || null
+        };
+    }
+
+    return upgraded;
+}
+
+/**
+ * Unversioned records have flat `camera`, `method` and `prompt` fields
+ */
+function upgradeUnversionedRecord(record) {
+    const type = record.type === PhotoType.ENHANCED ? PhotoType.ENHANCED : PhotoType.ORIGINAL;
+    return {
+        version: 1,
+        id: record.id,
+        groupId: record.groupId || record.id,
+        type: type,
+        sourceId: record.sourceId || null,
+        timestamp: record.timestamp,
+        capture: { facingMode: record.camera || null },
+        detections: [],
+        enhancement: type === PhotoType.ENHANCED
+            ? { method: record.method || null, provider: null, prompt: record.prompt || null, processingTime: null }
+            : null,
+        size: record.size,
+        mimeType: record.mimeType
+    };
+}
+
+/**
+ * Pair up unversioned records that were saved as unrelated entries. Both
+ * copies of a capture share its timestamp; when the type was not kept the
+ * later id (saved as Date.now() + 1) is the enhanced one.
+ */
+export function linkLegacyPairs(records) {
+    const byTimestamp = new Map();
+    records.forEach(record => {
+        const key = `${record.timestamp}|${record.capture.facingMode}`;
+        if (!byTimestamp.has(key)) byTimestamp.set(key, []);
+        byTimestamp.get(key).push(record);
+    });
+
+    byTimestamp.forEach(group => {
+        if (group.length !== 2) return;
+
+        let [original, enhanced] = [...group].sort((a, b) => Number(a.id) - Number(b.id));
+        if (original.type === PhotoType.ENHANCED) {
+            if (enhanced.type === PhotoType.ENHANCED) return;
+            [original, enhanced] = [enhanced, original];
+        }
+
+        enhanced.type = PhotoType.ENHANCED;
+        enhanced.groupId = original.groupId;
+        enhanced.sourceId = original.id;
+        enhanced.enhancement = enhanced.enhancement || { method: null, provider: null, prompt: null, processingTime: null };
+    });
+
+    return records;
+}
+
+/**
+ * Group records into gallery items: the original, the other frames of a
+ * burst and the enhanced versions (oldest first), newest capture first
+ */
+export function groupPhotos(records) {
+    const groups = new Map();
+
+    records.forEach(record => {
+        if (!groups.has(record.groupId)) {
+            groups.set(record.groupId, { groupId: record.groupId, original: null, frames: [], versions: [] });
+        }
+        const group = groups.get(record.groupId);
+
+        if (record.type === PhotoType.ORIGINAL) {
+            group.frames.push(record);
+        } else {
+            group.versions.push(record);
+        }
+    });
+
+    return [...groups.values()]
+        .map(group => {
+            // The selected burst frame stands for the capture
+            group.frames.sort((a, b) => (a.burst ? a.burst.index : 0) - (b.burst ? b.burst.index : 0));
+            const selected = group.frames.find(frame => frame.burst && frame.burst.selected) || group.frames[0];
+            group.original = selected || null;
+            group.frames = group.frames.filter(frame => frame !== selected);
+
+            group.versions.sort((a, b) => new Date(a.createdAt || a.timestamp) - new Date(b.createdAt || b.timestamp));
+            group.photos = group.original ? [group.original, ...group.frames, ...group.versions] : group.versions;
+            group.cover = group.versions.length > 0 ? group.versions[group.versions.length - 1] : group.original;
+            group.timestamp = group.photos[0].timestamp;
+            return group;
+        })
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
@@ -0,0 +1,162 @@
+/**
+ * Photo Store
+ * IndexedDB persistence for photos: image Blobs, thumbnails and metadata
+ * live in separate object stores so listing the library never loads full images
+ */
+
+const DB_NAME = 'lens-photos';
+const DB_VERSION = 1;
+
+export const STORES = {
+    META: 'photos',
+    BLOBS: 'blobs',
+    THUMBNAILS: 'thumbnails'
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class PhotoStore {
+    constructor(dbName = DB_NAME) {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        if (!window.indexedDB) {
+            throw new Error('IndexedDB is not available');
+        }
+
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORES.META)) {
+                db.createObjectStore(STORES.META, { keyPath: 'id' }).createIndex('timestamp', 'timestamp');
+            }
+            if (!db.objectStoreNames.contains(STORES.BLOBS)) {
+                db.createObjectStore(STORES.BLOBS);
+            }
+            if (!db.objectStoreNames.contains(STORES.THUMBNAILS)) {
+                db.createObjectStore(STORES.THUMBNAILS);
+            }
+        };
+
+        this.db = await promisify(request);
+        return this.db;
+    }
+
+    /**
+     * Resolve once a transaction commits, rejecting with its error on abort
+     */
+    complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    async getAllMeta() {
+        const db = await this.open();
+        return promisify(db.transaction(STORES.META).objectStore(STORES.META).getAll());
+    }
+
+    /**
+     * Store a photo's metadata, image and thumbnail in one transaction
+     */
+    async put(meta, blob, thumbnail) {
+        const db = await this.open();
+        const transaction = db.transaction([STORES.META, STORES.BLOBS, STORES.THUMBNAILS], 'readwrite');
+
+        transaction.objectStore(STORES.META).put(meta);
+        transaction.objectStore(STORES.BLOBS).put(blob, meta.id);
+        if (thumbnail) {
+            transaction.objectStore(STORES.THUMBNAILS).put(thumbnail, meta.id);
+        }
+
+        await this.complete(transaction);
+    }
+
+    async putMeta(meta) {
+        const db = await this.open();
+        const transaction = db.transaction(STORES.META, 'readwrite');
+        transaction.objectStore(STORES.META).put(meta);
+        await this.complete(transaction);
+    }
+
+    async putThumbnail(id, thumbnail) {
+        const db = await this.open();
+        const transaction = db.transaction(STORES.THUMBNAILS, 'readwrite');
+        transaction.objectStore(STORES.THUMBNAILS).put(thumbnail, id);
+        await this.complete(transaction);
+    }
+
+    async getBlob(id) {
+        const db = await this.open();
+        return promisify(db.transaction(STORES.BLOBS).objectStore(STORES.BLOBS).get(id));
+    }
+
+    async getThumbnail(id) {
+        const db = await this.open();
+        return promisify(db.transaction(STORES.THUMBNAILS).objectStore(STORES.THUMBNAILS).get(id));
+    }
+
+    async delete(id) {
+        const db = await this.open();
+        const transaction = db.transaction([STORES.META, STORES.BLOBS, STORES.THUMBNAILS], 'readwrite');
+
+        transaction.objectStore(STORES.META).delete(id);
+        transaction.objectStore(STORES.BLOBS).delete(id);
+        transaction.objectStore(STORES.THUMBNAILS).delete(id);
+
+        await this.complete(transaction);
+    }
+}
+
+/**
+ * Current storage usage and quota in bytes, or null where unsupported
+ */
+export async function getStorageEstimate() {
+    if (!navigator.storage || !navigator.storage.estimate) {
+        return null;
+    }
+
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    } catch (error) {
+        console.warn('Storage estimate failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Ask the browser not to evict the photo library under storage pressure
+ */
+export async function requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) {
+        return false;
+    }
+
+    try {
+        if (await navigator.storage.persisted()) {
+            return true;
+        }
+        return await navigator.storage.persist();
+    } catch (error) {
+        console.warn('Persistent storage request failed:', error);
+        return false;
+    }
+}
@@ -0,0 +1,189 @@
+/**
+ * Prompt Builder
+ * Composes provider-specific prompts and negative prompts from the scene
+ * description, brightness and contrast analysis, time of day and the chosen
+ * style, through templates the user can edit
+ */
+
+import { ObjectTypes } from './detectors/objectTypes.js';
+
+export const DEFAULT_PROMPT_STYLE = 'natural';
+
+export const PROMPT_STYLES = {
+    natural: {
+        label: 'Natural',
+        prompt: 'natural colors and true-to-life detail',
+        negative: 'oversaturated, artificial look'
+    },
+    vivid: {
+        label: 'Vivid',
+        prompt: 'vibrant colors and punchy contrast',
+        negative: 'dull, washed out, flat'
+    },
+    cinematic: {
+        label: 'Cinematic',
+        prompt: 'cinematic color grading with a moody, filmic look',
+        negative: 'flat lighting, snapshot look'
+    },
+    soft: {
+        label: 'Soft',
+        prompt: 'soft, airy light and gentle pastel tones',
+        negative: 'harsh shadows, heavy contrast'
+    },
+    monochrome: {
+        label: 'Black & white',
+        prompt: 'a black and white look with a rich tonal range',
+        negative: 'color, color cast'
+    }
+};
+
+/**
+ * Templates per provider. `{name}` placeholders are filled from
+ * PROMPT_VARIABLES; an empty one drops out with its separator.
+ */
+export const DEFAULT_PROMPT_TEMPLATES = {
+    huggingface: {
+        label: 'Hugging Face',
+        // instruct-pix2pix follows short edit instructions
+        prompt: 'give it {style}, {lighting}, {timeOfDay}, {portrait}',
+        negative: '{styleNegative}, blurry, noisy, distorted'
+    },
+    openai: {
+        label: 'OpenAI',
+        // The edits API has no negative prompt, so it is folded into the prompt
+        prompt: 'Enhance this photo of {scene} with {lighting}, {style}, {timeOfDay}, {portrait}. Keep the composition and subjects unchanged. Avoid {negative}.',
+        negative: '{styleNegative}, artifacts, added objects'
+    },
+    server: {
+        label: 'Local server',
+        prompt: 'enhance this photo of {scene} with {lighting}, {style}, {timeOfDay}, {portrait}, professional quality',
+        negative: '{styleNegative}, blurry, noisy, oversharpened, artifacts'
+    }
+};
+
+// Providers without a template of their own use this one
+const FALLBACK_TEMPLATE = 'server';
+
+export const PROMPT_VARIABLES = [
+    { key: 'scene', description: 'Detected objects, e.g. "a person with 2 square objects"' },
+    { key: 'lighting', description: 'Exposure advice from brightness and contrast' },
+    { key: 'timeOfDay', description: 'Light expected at the capture time' },
+    { key: 'style', description: 'The chosen style' },
+    { key: 'styleNegative', description: 'What the chosen style avoids' },
+    { key: 'portrait', description: 'Skin and light guidance when faces were found' },
+    { key: 'negative', description: 'The finished negative prompt (prompt templates only)' }
+];
+
+/**
+ * Exposure advice from `analyzeImage` results, or general advice without them
+ */
+export function describeLighting(analysis) {
+    if (!analysis) return 'better lighting and improved contrast';
+    if (analysis.isHighDynamicRange) return 'recovered highlights and lifted shadows';
+    if (analysis.isDark) return 'brighter exposure and clean, noise-free shadows';
+    if (analysis.isLowContrast) return 'stronger contrast and clearer detail';
+    return 'balanced lighting and crisp detail';
+}
+
+/**
+ * The light to expect at the capture time. After dark, a bright photo was
+ * most likely taken indoors.
+ */
+export function describeTimeOfDay(timestamp, analysis = null) {
+    const date = new Date(timestamp);
+    if (!timestamp || Number.isNaN(date.getTime())) return '';
+
+    const hour = date.getHours();
+    if (hour >= 5 && hour < 9) return 'soft morning light';
+    if (hour >= 9 && hour < 17) return 'clear daylight';
+    if (hour >= 17 && hour < 21) return 'warm evening light';
+    return analysis && !analysis.isDark ? 'warm indoor light' : 'night scene with glowing lights';
+}
+
+/**
+ * Fill `{name}` placeholders, then tidy the separators empty values leave
+ * behind. Unknown placeholders are kept so mistakes stay visible.
+ */
+export function fillTemplate(template, values) {
+    return template
+        .replace(/\{(\w+)\}/g, (match, key) => Object.prototype.hasOwnProperty.call(values, key) ? values[key] || '' : match)
+        .replace(/\s+/g, ' ')
+        .replace(/\s*,(\s*,)+/g, ',')
+        .replace(/\s+([,.;:])/g, '$1')
+        .replace(/,([.;:])/g, '$1')
+        .replace(/([.;:]),/g, '$1')
+        .replace(/^[\s,.;:]+|[\s,]+$/g, '')
+        .replace(/,(?=\S)/g, ', ');
+}
+
+export class PromptBuilder {
+    constructor() {
+        this.style = DEFAULT_PROMPT_STYLE;
+        this.templates = {};
+        this.setTemplates({});
+    }
+
+    setStyle(style) {
+        this.style = PROMPT_STYLES[style] ? style : DEFAULT_PROMPT_STYLE;
+    }
+
+    /**
+     * Replace the templates. Providers or fields left out (or blank) use
+     * the defaults.
+     */
+    setTemplates(overrides = {}) {
+        this.templates = {};
+        Object.entries(DEFAULT_PROMPT_TEMPLATES).forEach(([provider, defaults]) => {
+            const custom = (overrides && overrides[provider]) || {};
+            this.templates[provider] = {
+                prompt: typeof custom.prompt === 'string' && custom.prompt.trim() ? custom.prompt : defaults.prompt,
+                negative: typeof custom.negative === 'string' && custom.negative.trim() ? custom.negative : defaults.negative
+            };
+        });
+    }
+
+    getTemplate(provider) {
+        return this.templates[provider] || this.templates[FALLBACK_TEMPLATE];
+    }
+
+    /**
+     * Template values for a photo. `photo` carries `sceneDescription`,
+     * `detectedObjects`, `analysis` (from analyzeImage), `capturedAt` and
+     * optionally its own `style`.
+     */
+    getVariables({ sceneDescription = null, detectedObjects = [], analysis = null, capturedAt = null, style: photoStyle = null } = {}) {
+        const style = PROMPT_STYLES[photoStyle] || PROMPT_STYLES[this.style];
+        const faces = detectedObjects.filter(detection => detection.type === ObjectTypes.FACE).length;
+
+        return {
+            scene: sceneDescription || 'the scene',
+            lighting: describeLighting(analysis),
+            timeOfDay: describeTimeOfDay(capturedAt, analysis),
+            style: style.prompt,
+            styleNegative: style.negative,
+            portrait: faces > 0
+                ? `natural skin tones, sharp eyes and soft flattering light on the ${faces === 1 ? 'face' : 'faces'}`
+                : ''
+        };
+    }
+
+    /**
+     * Prompt and negative prompt for `provider`
+     */
+    build(provider, photo = {}) {
+        return this.render(this.getTemplate(provider), photo);
+    }
+
+    /**
+     * Fill a `{ prompt, negative }` template - also used to preview drafts
+     */
+    render(template, photo = {}) {
+        const values = this.getVariables(photo);
+        const negativePrompt = fillTemplate(template.negative, values);
+
+        return {
+            prompt: fillTemplate(template.prompt, { ...values, negative: negativePrompt }),
+            negativePrompt: negativePrompt
+        };
+    }
+}
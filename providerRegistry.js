@@ -0,0 +1,199 @@
+/**
+ * Provider Registry
+ * Registered enhancement providers, the user's fallback order and
+ * per-provider health with a circuit breaker
+ */
+
+export const CircuitState = {
+    CLOSED: 'closed',       // Healthy - requests go through
+    OPEN: 'open',           // Failing - skipped until the cooldown ends
+    HALF_OPEN: 'half-open'  // Cooldown over - one trial request allowed
+};
+
+export class ProviderRegistry {
+    constructor(options = {}) {
+        this.providers = new Map();
+        this.order = [];
+        this.apiKeys = {};
+        this.health = {};
+
+        // Circuit breaker settings
+        this.failureThreshold = options.failureThreshold || 3;
+        this.failureWindowMs = options.failureWindowMs || 5 * 60 * 1000;
+        this.cooldownMs = options.cooldownMs || 60 * 1000;
+    }
+
+    /**
+     * Register a provider adapter. Adapters expose `name`, `label`,
+     * `requiresApiKey`, `capabilities`, `enhance(imageDataUrl, prompt, apiKey, onProgress, context)`
+     * and `test(apiKey)`, and optionally `configure(options)` and `isConfigured()`.
+     */
+    register(provider) {
+        this.providers.set(provider.name, provider);
+        if (!this.order.includes(provider.name)) {
+            this.order.push(provider.name);
+        }
+        this.health[provider.name] = this.createHealth();
+    }
+
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+
+    has(name) {
+        return this.providers.has(name);
+    }
+
+    list() {
+        return this.order.map(name => this.providers.get(name));
+    }
+
+    getOrder() {
+        return [...this.order];
+    }
+
+    /**
+     * Set the fallback order. Unknown names are ignored and providers
+     * missing from the list keep their relative order at the end.
+     */
+    setOrder(names) {
+        const known = names.filter(name => this.providers.has(name));
+        const rest = this.order.filter(name => !known.includes(name));
+        this.order = [...new Set(known), ...rest];
+    }
+
+    setApiKey(name, apiKey) {
+        this.apiKeys[name] = apiKey ? apiKey.trim() : null;
+    }
+
+    getApiKey(name) {
+        return this.apiKeys[name] || null;
+    }
+
+    isConfigured(name) {
+        const provider = this.providers.get(name);
+        if (!provider) return false;
+
+        // Providers can declare extra requirements (e.g. a server URL)
+        if (provider.isConfigured && !provider.isConfigured()) return false;
+
+        return !provider.requiresApiKey || Boolean(this.getApiKey(name));
+    }
+
+    /**
+     * Providers to try, in fallback order, skipping unconfigured providers
+     * and those with an open circuit
+     */
+    getChain() {
+        return this.order
+            .filter(name => this.isConfigured(name) && this.isAvailable(name))
+            .map(name => this.providers.get(name));
+    }
+
+    /**
+     * Whether the circuit lets a request through right now. A half-open
+     * circuit is unavailable while its trial request is in flight.
+     */
+    isAvailable(name) {
+        const health = this.health[name];
+        if (!health) return false;
+
+        if (health.state === CircuitState.OPEN && Date.now() - health.openedAt >= this.cooldownMs) {
+            health.state = CircuitState.HALF_OPEN;
+        }
+
+        if (health.state === CircuitState.HALF_OPEN) return !health.trialInFlight;
+        return health.state !== CircuitState.OPEN;
+    }
+
+    /**
+     * Claim a request to a provider just before sending it. Returns false
+     * when the circuit is open or another caller holds the half-open trial.
+     * The claim ends with recordSuccess, recordFailure or endRequest.
+     */
+    beginRequest(name) {
+        if (!this.isAvailable(name)) return false;
+
+        const health = this.health[name];
+        if (health.state === CircuitState.HALF_OPEN) {
+            health.trialInFlight = true;
+        }
+        return true;
+    }
+
+    /**
+     * End a request that settled without a verdict (e.g. it was cancelled)
+     */
+    endRequest(name) {
+        const health = this.health[name];
+        if (health) health.trialInFlight = false;
+    }
+
+    recordSuccess(name) {
+        const health = this.health[name];
+        if (!health) return;
+
+        health.trialInFlight = false;
+        health.state = CircuitState.CLOSED;
+        health.recentFailures = [];
+        health.openedAt = null;
+        health.lastSuccess = Date.now();
+    }
+
+    recordFailure(name, error) {
+        const health = this.health[name];
+        if (!health) return;
+
+        const now = Date.now();
+        health.trialInFlight = false;
+        health.lastError = error ? error.message : null;
+        health.lastFailure = now;
+        health.recentFailures = health.recentFailures
+            .filter(time => now - time < this.failureWindowMs)
+            .concat(now);
+
+        // A failed trial request re-opens the circuit immediately
+        if (health.state === CircuitState.HALF_OPEN ||
+            health.recentFailures.length >= this.failureThreshold) {
+            health.state = CircuitState.OPEN;
+            health.openedAt = now;
+            console.warn(`Circuit opened for ${name} after repeated failures`);
+        }
+    }
+
+    /**
+     * Manually close a provider's circuit (e.g. after the user fixes the key)
+     */
+    reset(name) {
+        this.health[name] = this.createHealth();
+    }
+
+    getHealth(name) {
+        const health = this.health[name];
+        if (!health) return null;
+
+        // Refresh the state so callers see half-open after the cooldown
+        this.isAvailable(name);
+
+        return {
+            state: health.state,
+            recentFailures: health.recentFailures.length,
+            lastError: health.lastError,
+            lastFailure: health.lastFailure,
+            lastSuccess: health.lastSuccess,
+            retryAt: health.state === CircuitState.OPEN ? health.openedAt + this.cooldownMs : null
+        };
+    }
+
+    createHealth() {
+        return {
+            state: CircuitState.CLOSED,
+            recentFailures: [],
+            lastError: null,
+            lastFailure: null,
+            lastSuccess: null,
+            openedAt: null,
+            trialInFlight: false
+        };
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * Hugging Face Provider
+ * Inference API adapter for instruct-pix2pix style image editing
+ */
+
+import { blobToDataUrl } from '../utils.js';
+
+export class HuggingFaceProvider {
+    constructor() {
+        this.name = 'huggingface';
+        this.label = 'Hugging Face AI';
+        this.endpoint = 'https://api-inference.huggingface.co/models/timbrooks/instruct-pix2pix';
+        this.requiresApiKey = true;
+        this.capabilities = {
+            maxResolution: 768,
+            supportsPrompt: true,
+            supportsMask: false,
+            outputFormat: 'image/jpeg'
+        };
+    }
+
+    async enhance(imageDataUrl, prompt, apiKey, onProgress, context = {}) {
+        onProgress('Connecting to Hugging Face AI...', 20);
+
+        const base64Image = imageDataUrl.split(',')[1];
+
+        onProgress('Processing with AI...', 40);
+
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            signal: context.signal,
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                inputs: {
+                    image: base64Image,
+                    prompt: prompt
+                },
+                parameters: {
+                    negative_prompt: context.negativePrompt || undefined,
+                    num_inference_steps: 20,
+                    guidance_scale: 7.5,
+                    image_guidance_scale: 1.5
+                }
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Hugging Face API error: ${response.status}`);
+        }
+
+        onProgress('Downloading enhanced image...', 80);
+        const enhancedBlob = await response.blob();
+        return await blobToDataUrl(enhancedBlob);
+    }
+
+    async test(apiKey) {
+        const response = await fetch('https://huggingface.co/api/whoami-v2', {
+            headers: { 'Authorization': `Bearer ${apiKey}` }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Hugging Face rejected the API key (${response.status})`);
+        }
+
+        const account = await response.json();
+        return `Hugging Face API ready (${account.name || 'authenticated'})`;
+    }
+}
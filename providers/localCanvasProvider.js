@@ -0,0 +1,68 @@
+/**
+ * Local Canvas Provider
+ * Histogram-based enhancement pipeline run on the device - works offline
+ * and without an API key. The pipeline runs in the image worker at the
+ * photo's full resolution.
+ */
+
+import { loadImage } from '../utils.js';
+import { createPipelineSettings } from '../enhancementPipeline.js';
+import { runInImageWorker } from '../imageWorkerClient.js';
+
+export class LocalCanvasProvider {
+    constructor() {
+        this.name = 'local';
+        this.label = 'Local Enhancement';
+        this.requiresApiKey = false;
+        this.capabilities = {
+            maxResolution: Infinity,
+            supportsPrompt: false,
+            supportsMask: false,
+            outputFormat: 'image/jpeg'
+        };
+        this.settings = createPipelineSettings();
+    }
+
+    /**
+     * Pipeline settings (see enhancementPipeline.js); out-of-range values are clamped
+     */
+    setPipelineSettings(settings) {
+        this.settings = createPipelineSettings(settings);
+    }
+
+    async enhance(imageDataUrl, prompt, apiKey, onProgress, context = {}) {
+        onProgress('Analyzing image...', 20);
+
+        const img = await loadImage(imageDataUrl);
+
+        if (context.signal) context.signal.throwIfAborted();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+
+        // Detections share the capture's pixel coordinates
+        const detections = context.detectedObjects || [];
+
+        // A style preset's values take precedence for this photo
+        const settings = context.pipeline ? createPipelineSettings({ ...this.settings, ...context.pipeline }) : this.settings;
+
+        onProgress('Applying local enhancement...', 40);
+        // Cancelling terminates the worker mid-stage
+        const source = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const { image } = await runInImageWorker('enhance', { image: source, settings, detections }, {
+            transfer: [source.data.buffer],
+            signal: context.signal
+        });
+        ctx.putImageData(image, 0, 0);
+
+        onProgress('Finalizing image...', 90);
+        return canvas.toDataURL('image/jpeg', 0.95);
+    }
+
+    async test() {
+        return 'Local enhancement ready (no API key needed)';
+    }
+}
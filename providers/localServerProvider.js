@@ -0,0 +1,305 @@
+/**
+ * Local Server Provider
+ * Runs enhancement on a self-hosted server (no third-party keys needed)
+ *
+ * HTTP contract - any server implementing these endpoints can be used:
+ *
+ *   GET  /health
+ *        200 { status: 'ok', version?, streaming?: boolean,
+ *              capabilities?: { maxResolution, supportsPrompt, supportsMask, outputFormat } }
+ *
+ *   POST /jobs   (multipart/form-data)
+ *        image    - JPEG file
+ *        prompt   - enhancement prompt (may be empty)
+ *        negativePrompt - what the result should avoid (may be empty)
+ *        metadata - JSON { sceneDescription, detections: [{ type, rect, confidence, center }],
+ *                          width, height, capturedAt }
+ *        202 { jobId }
+ *
+ *   GET  /jobs/:jobId
+ *        200 { status: 'queued' | 'processing' | 'done' | 'failed',
+ *              progress?: 0-100, message?, error? }
+ *
+ *   GET  /jobs/:jobId/events   (only when /health reports streaming: true)
+ *        text/event-stream; each `data:` line carries the same JSON as GET /jobs/:jobId
+ *
+ *   GET  /jobs/:jobId/result
+ *        200 image bytes (Content-Type image/jpeg or image/png)
+ *
+ *   DELETE /jobs/:jobId   (optional)
+ *        Sent when the user cancels or the job times out; servers may stop work
+ *
+ * If an API key is configured it is sent as `Authorization: Bearer <key>`.
+ */
+
+import { abortableDelay } from '../enhancementJob.js';
+import { blobToDataUrl, loadImage } from '../utils.js';
+
+export const DEFAULT_SERVER_URL = 'http://localhost:5000';
+
+// Assumed until the server's /health reports its own
+const DEFAULT_CAPABILITIES = {
+    maxResolution: 2048,
+    supportsPrompt: true,
+    supportsMask: false,
+    outputFormat: 'image/jpeg'
+};
+
+export class LocalServerProvider {
+    constructor() {
+        this.name = 'server';
+        this.label = 'Local Enhancement Server';
+        this.requiresApiKey = false;
+        this.serverUrl = null;
+        this.serverInfo = null;
+        this.pollIntervalMs = 1000;
+        this.maxWaitMs = 120000;
+        this.capabilities = { ...DEFAULT_CAPABILITIES };
+    }
+
+    /**
+     * Only usable once the user has set a server URL
+     */
+    isConfigured() {
+        return Boolean(this.serverUrl);
+    }
+
+    configure({ serverUrl }) {
+        this.serverUrl = serverUrl ? serverUrl.trim().replace(/\/+$/, '') : null;
+
+        // A different server reports its own capabilities on the next health check
+        this.serverInfo = null;
+        this.capabilities = { ...DEFAULT_CAPABILITIES };
+    }
+
+    async enhance(imageDataUrl, prompt, apiKey, onProgress, context = {}) {
+        const signal = context.signal;
+        onProgress('Connecting to enhancement server...', 10);
+
+        if (!this.serverInfo) {
+            this.serverInfo = await this.fetchHealth(apiKey, signal);
+        }
+
+        // Tell the server to stop working on a job nobody is waiting for
+        let jobId = null;
+        const cancelRemoteJob = () => {
+            if (jobId) this.cancelJob(jobId, apiKey);
+        };
+        if (signal) signal.addEventListener('abort', cancelRemoteJob, { once: true });
+
+        try {
+            jobId = await this.submitJob(imageDataUrl, prompt, apiKey, context);
+            if (signal && signal.aborted) {
+                // Aborted while the job was being submitted
+                this.cancelJob(jobId, apiKey);
+                signal.throwIfAborted();
+            }
+            onProgress('Queued on enhancement server...', 20);
+
+            const status = this.serverInfo.streaming
+                ? await this.streamStatus(jobId, apiKey, onProgress, signal)
+                : await this.pollStatus(jobId, apiKey, onProgress, signal);
+
+            if (status.status === 'failed') {
+                throw new Error(`Enhancement server error: ${status.error || 'job failed'}`);
+            }
+
+            onProgress('Downloading enhanced image...', 90);
+            return await this.fetchResult(jobId, apiKey, signal);
+        } finally {
+            if (signal) signal.removeEventListener('abort', cancelRemoteJob);
+        }
+    }
+
+    async fetchResult(jobId, apiKey, signal) {
+        const response = await fetch(this.url(`/jobs/${jobId}/result`), {
+            headers: this.headers(apiKey),
+            signal: signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Enhancement server result error: ${response.status}`);
+        }
+
+        return await blobToDataUrl(await response.blob());
+    }
+
+    async test(apiKey) {
+        this.serverInfo = await this.fetchHealth(apiKey);
+        const version = this.serverInfo.version ? ` v${this.serverInfo.version}` : '';
+        return `Enhancement server ready${version} at ${this.serverUrl}`;
+    }
+
+    /**
+     * Check the health endpoint and adopt the capabilities it reports
+     */
+    async fetchHealth(apiKey, signal) {
+        if (!this.serverUrl) {
+            throw new Error('No enhancement server URL configured');
+        }
+
+        const response = await fetch(this.url('/health'), {
+            headers: this.headers(apiKey),
+            signal: signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Enhancement server health check failed: ${response.status}`);
+        }
+
+        const info = await response.json();
+        if (info.status !== 'ok') {
+            throw new Error(`Enhancement server not ready: ${info.status}`);
+        }
+
+        if (info.capabilities) {
+            this.capabilities = { ...this.capabilities, ...info.capabilities };
+        }
+
+        return info;
+    }
+
+    async submitJob(imageDataUrl, prompt, apiKey, context) {
+        const img = await loadImage(imageDataUrl);
+        const imageBlob = await (await fetch(imageDataUrl)).blob();
+
+        const metadata = {
+            sceneDescription: context.sceneDescription || null,
+            detections: (context.detectedObjects || []).map(detection => ({
+                type: detection.type,
+                rect: detection.rect,
+                confidence: detection.confidence,
+                center: detection.center
+            })),
+            width: img.width,
+            height: img.height,
+            capturedAt: context.capturedAt || new Date().toISOString()
+        };
+
+        const formData = new FormData();
+        formData.append('image', imageBlob, 'photo.jpg');
+        formData.append('prompt', prompt || '');
+        formData.append('negativePrompt', context.negativePrompt || '');
+        formData.append('metadata', JSON.stringify(metadata));
+
+        // Not aborted: the server may create the job before an abort lands,
+        // and only its id lets the caller cancel it
+        const response = await fetch(this.url('/jobs'), {
+            method: 'POST',
+            headers: this.headers(apiKey),
+            body: formData
+        });
+
+        if (!response.ok) {
+            throw new Error(`Enhancement server rejected job: ${response.status}`);
+        }
+
+        const { jobId } = await response.json();
+        if (!jobId) {
+            throw new Error('Enhancement server did not return a job id');
+        }
+        return jobId;
+    }
+
+    /**
+     * Poll job status until it finishes
+     */
+    async pollStatus(jobId, apiKey, onProgress, signal) {
+        const deadline = Date.now() + this.maxWaitMs;
+
+        while (Date.now() < deadline) {
+            const response = await fetch(this.url(`/jobs/${jobId}`), {
+                headers: this.headers(apiKey),
+                signal: signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Enhancement server status error: ${response.status}`);
+            }
+
+            const status = await response.json();
+            this.reportStatus(status, onProgress);
+
+            if (status.status === 'done' || status.status === 'failed') {
+                return status;
+            }
+
+            await abortableDelay(this.pollIntervalMs, signal);
+        }
+
+        throw new Error('Enhancement server job timed out');
+    }
+
+    /**
+     * Read server-sent status events until the job finishes
+     */
+    async streamStatus(jobId, apiKey, onProgress, signal) {
+        const response = await fetch(this.url(`/jobs/${jobId}/events`), {
+            headers: { ...this.headers(apiKey), 'Accept': 'text/event-stream' },
+            signal: signal
+        });
+
+        if (!response.ok || !response.body) {
+            // Fall back to polling if the stream is unavailable
+            return this.pollStatus(jobId, apiKey, onProgress, signal);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    if (!line.startsWith('data:')) continue;
+
+                    const status = JSON.parse(line.slice(5).trim());
+                    this.reportStatus(status, onProgress);
+
+                    if (status.status === 'done' || status.status === 'failed') {
+                        return status;
+                    }
+                }
+            }
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+
+        // Stream ended without a final event - ask once more
+        return this.pollStatus(jobId, apiKey, onProgress, signal);
+    }
+
+    /**
+     * Best-effort remote cancellation; servers may not implement it
+     */
+    cancelJob(jobId, apiKey) {
+        fetch(this.url(`/jobs/${jobId}`), {
+            method: 'DELETE',
+            headers: this.headers(apiKey)
+        }).catch(() => {});
+    }
+
+    reportStatus(status, onProgress) {
+        // Map server progress into the 20-90% band of the overall enhancement
+        const progress = 20 + Math.round((status.progress || 0) * 0.7);
+        const message = status.message || (status.status === 'queued'
+            ? 'Waiting for enhancement server...'
+            : 'Enhancing on local server...');
+        onProgress(message, progress);
+    }
+
+    url(path) {
+        return `${this.serverUrl}${path}`;
+    }
+
+    headers(apiKey) {
+        return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+    }
+}
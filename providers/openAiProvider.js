@@ -0,0 +1,111 @@
+/**
+ * OpenAI Provider
+ * Image edit API adapter
+ */
+
+import { loadImage } from '../utils.js';
+
+// Side of the square images the edits endpoint takes and returns
+const EDIT_SIZE = 1024;
+
+export class OpenAIProvider {
+    constructor() {
+        this.name = 'openai';
+        this.label = 'OpenAI DALL-E';
+        this.endpoint = 'https://api.openai.com/v1/images/edits';
+        this.requiresApiKey = true;
+        this.capabilities = {
+            maxResolution: 1024,
+            supportsPrompt: true,
+            supportsMask: false,
+            outputFormat: 'image/png'
+        };
+    }
+
+    async enhance(imageDataUrl, prompt, apiKey, onProgress, context = {}) {
+        onProgress('Connecting to OpenAI...', 20);
+
+        // The edits endpoint only accepts square PNG images
+        const { blob, region } = await toSquarePng(imageDataUrl, EDIT_SIZE);
+
+        const formData = new FormData();
+        formData.append('image', blob, 'photo.png');
+        formData.append('prompt', prompt);
+        formData.append('n', '1');
+        formData.append('size', `${EDIT_SIZE}x${EDIT_SIZE}`);
+        formData.append('response_format', 'b64_json');
+
+        onProgress('Processing with OpenAI...', 40);
+
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            signal: context.signal,
+            headers: {
+                'Authorization': `Bearer ${apiKey}`
+            },
+            body: formData
+        });
+
+        if (!response.ok) {
+            throw new Error(`OpenAI API error: ${response.status}`);
+        }
+
+        onProgress('Downloading enhanced image...', 80);
+        const result = await response.json();
+        return cropToRegion(`data:image/png;base64,${result.data[0].b64_json}`, region, EDIT_SIZE);
+    }
+
+    async test(apiKey) {
+        const response = await fetch('https://api.openai.com/v1/models', {
+            headers: { 'Authorization': `Bearer ${apiKey}` }
+        });
+
+        if (!response.ok) {
+            throw new Error(`OpenAI rejected the API key (${response.status})`);
+        }
+
+        return 'OpenAI API ready';
+    }
+}
+
+/**
+ * Pad an image to a square PNG of the given size, so nothing is cropped
+ * away. The padding is opaque black - the edits endpoint would repaint
+ * transparent areas. Resolves to the PNG and the region the photo fills.
+ */
+async function toSquarePng(imageDataUrl, size) {
+    const img = await loadImage(imageDataUrl);
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+
+    const scale = size / Math.max(img.width, img.height);
+    const region = {
+        width: Math.round(img.width * scale),
+        height: Math.round(img.height * scale)
+    };
+    region.x = Math.round((size - region.width) / 2);
+    region.y = Math.round((size - region.height) / 2);
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, size, size);
+    ctx.drawImage(img, region.x, region.y, region.width, region.height);
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    return { blob, region };
+}
+
+/**
+ * Cut the padding added by toSquarePng off the edited image
+ */
+async function cropToRegion(imageDataUrl, region, size) {
+    const img = await loadImage(imageDataUrl);
+    // The result may come back at a different size than was sent
+    const scale = img.width / size;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(region.width * scale);
+    canvas.height = Math.round(region.height * scale);
+    canvas.getContext('2d').drawImage(img, region.x * scale, region.y * scale, canvas.width, canvas.height, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+}
@@ -0,0 +1,52 @@
+/**
+ * Style Presets
+ * Named looks that pair an AI prompt style with local pipeline settings.
+ * A preset's pipeline values override the user's tuning for that job only.
+ */
+
+export const DEFAULT_STYLE_PRESET = 'natural';
+
+export const STYLE_PRESETS = {
+    natural: {
+        label: 'Natural',
+        promptStyle: 'natural',
+        pipeline: {}
+    },
+    vivid: {
+        label: 'Vivid',
+        promptStyle: 'vivid',
+        pipeline: { saturation: 1.35, claheClipLimit: 3, sharpenAmount: 0.8 }
+    },
+    bw: {
+        label: 'B&W',
+        promptStyle: 'monochrome',
+        // Skin tone protection would bring colour back to faces
+        pipeline: { saturation: 0, skinProtection: 0, levelsClip: 1, claheClipLimit: 3 }
+    },
+    film: {
+        label: 'Film',
+        promptStyle: 'cinematic',
+        pipeline: { saturation: 0.85, warmth: 0.3, fade: 0.25, claheClipLimit: 1.5, sharpenAmount: 0.3, vignette: 0.2 }
+    },
+    portrait: {
+        label: 'Portrait',
+        promptStyle: 'soft',
+        pipeline: {
+            subjectExposure: 0.7,
+            skinProtection: 1,
+            faceLight: 0.25,
+            sharpenAmount: 0.3,
+            subjectSharpen: 0.2,
+            backgroundBlur: 8,
+            backgroundDesaturate: 0.3,
+            vignette: 0.25
+        }
+    }
+};
+
+/**
+ * The preset called `name`, or the default for unknown names
+ */
+export function getStylePreset(name) {
+    return STYLE_PRESETS[name] || STYLE_PRESETS[DEFAULT_STYLE_PRESET];
+}
@@ -0,0 +1,263 @@
+/**
+ * Enhancement Pipeline Tests
+ * Checks each stage on small generated fixture images. Run with
+ * `node --test tests/`; the OpenCV stages run when @techstark/opencv-js (the
+ * npm build of OpenCV.js) can be imported and are skipped otherwise.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Browser globals the pipeline expects
+globalThis.self = globalThis;
+globalThis.ImageData ??= class ImageData {
+    constructor(data, width, height) {
+        this.data = data;
+        this.width = width;
+        this.height = height;
+    }
+};
+
+await loadCv();
+const cv = globalThis.cv || null;
+const noCv = !cv && 'OpenCV.js is not installed';
+
+const {
+    createPipelineSettings,
+    enhanceImage,
+    applyWhiteBalance,
+    applyAutoLevels,
+    applySubjectExposure,
+    applySkinProtection,
+    applyBackgroundDesaturation,
+    applyColorGrade,
+    applyClahe,
+    applyUnsharpMask,
+    applyBackgroundBlur,
+    applyFaceLight,
+    applyVignette,
+    createRegionMask
+} = await import('../enhancementPipeline.js');
+
+/**
+ * Set the global `cv` when OpenCV.js can be imported. The module is a
+ * thenable that resolves to itself, so it is never returned from here.
+ */
+async function loadCv() {
+    const module = await import('@techstark/opencv-js').catch(() => null);
+    if (!module) return;
+
+    const cv = module.default;
+    if (!cv.Mat) await new Promise(resolve => { cv.onRuntimeInitialized = resolve; });
+    globalThis.cv = cv;
+}
+
+/**
+ * A width x height image whose pixels come from `color(x, y)` as [r, g, b]
+ */
+function fixture(width, height, color) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set([...color(x, y), 255], (y * width + x) * 4);
+        }
+    }
+    return new ImageData(data, width, height);
+}
+
+function pixel(image, x, y) {
+    const i = (y * image.width + x) * 4;
+    return Array.from(image.data.subarray(i, i + 3));
+}
+
+function luma([r, g, b]) {
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+/**
+ * Packed RGB mat of `image` for the OpenCV stages; the caller deletes it
+ */
+function toRgb(image) {
+    const rgba = cv.matFromImageData(image);
+    const rgb = new cv.Mat();
+    cv.cvtColor(rgba, rgb, cv.COLOR_RGBA2RGB);
+    rgba.delete();
+    return rgb;
+}
+
+function rgbAt(rgb, x, y) {
+    const i = (y * rgb.cols + x) * 3;
+    return Array.from(rgb.data.subarray(i, i + 3));
+}
+
+const faceAt = (x, y, size) => ({
+    rect: { x: x - size / 2, y: y - size / 2, width: size, height: size },
+    center: { x, y }
+});
+
+test('white balance pulls a colour cast to gray', () => {
+    const image = fixture(16, 16, () => [100, 120, 160]);
+    applyWhiteBalance(image, 1);
+    assert.deepEqual(pixel(image, 5, 5), [127, 127, 127]);
+});
+
+test('white balance keeps the colours at strength 0 and ignores excluded pixels', () => {
+    const image = fixture(16, 16, () => [100, 120, 160]);
+    applyWhiteBalance(image, 0);
+    assert.deepEqual(pixel(image, 5, 5), [100, 120, 160]);
+
+    // Excluding every pixel leaves nothing to average
+    applyWhiteBalance(image, 1, [{ x: 0, y: 0, width: 16, height: 16 }]);
+    assert.deepEqual(pixel(image, 5, 5), [100, 120, 160]);
+});
+
+test('auto levels stretches a low-contrast gradient to full range', () => {
+    const image = fixture(256, 1, x => Array(3).fill(64 + Math.floor(x / 2)));
+    applyAutoLevels(image.data, 1);
+    assert.deepEqual(pixel(image, 0, 0), [0, 0, 0]);
+    assert.deepEqual(pixel(image, 255, 0), [255, 255, 255]);
+    for (let x = 1; x < 256; x++) {
+        assert.ok(pixel(image, x, 0)[0] >= pixel(image, x - 1, 0)[0]);
+    }
+});
+
+test('auto levels leaves a flat image alone', () => {
+    const image = fixture(16, 16, () => [90, 100, 110]);
+    applyAutoLevels(image.data, 1);
+    assert.deepEqual(pixel(image, 3, 3), [90, 100, 110]);
+});
+
+test('subject exposure brightens a dark subject and nothing else', () => {
+    const image = fixture(16, 16, () => [40, 40, 40]);
+    const mask = createRegionMask([{ x: 0, y: 0, width: 8, height: 16 }], 16, 16, 1);
+    applySubjectExposure(image.data, mask, 1);
+
+    // The gamma is clamped at its minimum, 255 * (40 / 255) ^ 0.6
+    assert.deepEqual(pixel(image, 2, 8), [84, 84, 84]);
+    assert.deepEqual(pixel(image, 14, 8), [40, 40, 40]);
+});
+
+test('skin protection restores the chroma of skin tones only', () => {
+    const original = fixture(2, 1, x => (x === 0 ? [200, 150, 120] : [50, 50, 200]));
+    const image = fixture(2, 1, () => [160, 160, 160]);
+    applySkinProtection(image, original, new Uint8Array([255, 255]), 1);
+
+    const chroma = ([r, g, b]) => [
+        128 - 0.168736 * r - 0.331264 * g + 0.5 * b,
+        128 + 0.5 * r - 0.418688 * g - 0.081312 * b
+    ];
+    const [cb, cr] = chroma(pixel(image, 0, 0));
+    const [skinCb, skinCr] = chroma(pixel(original, 0, 0));
+    assert.ok(Math.abs(cb - skinCb) < 1.5 && Math.abs(cr - skinCr) < 1.5);
+    assert.ok(Math.abs(luma(pixel(image, 0, 0)) - 160) < 1.5);
+    assert.deepEqual(pixel(image, 1, 0), [160, 160, 160]);
+});
+
+test('background desaturation grays out everything but the subject', () => {
+    const image = fixture(16, 16, () => [200, 100, 50]);
+    const mask = createRegionMask([{ x: 0, y: 0, width: 8, height: 16 }], 16, 16, 1);
+    applyBackgroundDesaturation(image.data, mask, 1);
+
+    assert.deepEqual(pixel(image, 2, 8), [200, 100, 50]);
+    const [r, g, b] = pixel(image, 14, 8);
+    assert.ok(r === g && g === b);
+});
+
+test('colour grade saturation, warmth and fade', () => {
+    const gray = fixture(1, 1, () => [200, 100, 50]);
+    applyColorGrade(gray.data, { saturation: 0 });
+    const [r, g, b] = pixel(gray, 0, 0);
+    assert.ok(r === g && g === b);
+
+    const warm = fixture(1, 1, () => [100, 100, 100]);
+    applyColorGrade(warm.data, { warmth: 1 });
+    assert.deepEqual(pixel(warm, 0, 0), [112, 100, 88]);
+
+    const faded = fixture(1, 1, () => [0, 0, 0]);
+    applyColorGrade(faded.data, { fade: 1 });
+    assert.deepEqual(pixel(faded, 0, 0), [64, 64, 64]);
+});
+
+test('face light brightens the face centre and fades out', () => {
+    const image = fixture(32, 32, () => [100, 100, 100]);
+    applyFaceLight(image, [faceAt(16, 16, 8)], 0.5);
+
+    const [centre] = pixel(image, 16, 16);
+    const [edge] = pixel(image, 21, 16);
+    assert.ok(centre > edge && edge > 100);
+    assert.deepEqual(pixel(image, 0, 0), [100, 100, 100]);
+});
+
+test('vignette darkens the corners around the subject', () => {
+    const image = fixture(32, 32, () => [200, 200, 200]);
+    applyVignette(image, [], 1);
+
+    assert.deepEqual(pixel(image, 16, 16), [200, 200, 200]);
+    assert.ok(pixel(image, 0, 0)[0] < 100);
+
+    // Centred on a subject in the top left, the top left corner stays light
+    const offset = fixture(32, 32, () => [200, 200, 200]);
+    applyVignette(offset, [faceAt(4, 4, 4)], 1);
+    assert.deepEqual(pixel(offset, 0, 0), [200, 200, 200]);
+    assert.ok(pixel(offset, 31, 31)[0] < 100);
+});
+
+test('region masks are solid inside and feathered outside', () => {
+    assert.equal(createRegionMask([], 8, 8, 2), null);
+
+    const mask = createRegionMask([{ x: 8, y: 8, width: 8, height: 8 }], 32, 32, 4);
+    assert.equal(mask[10 * 32 + 10], 255);
+    assert.equal(mask[10 * 32 + 26], 0);
+    const feathered = mask[10 * 32 + 18];
+    assert.ok(feathered > 0 && feathered < 255);
+});
+
+test('CLAHE raises local contrast', { skip: noCv }, () => {
+    const image = fixture(64, 64, x => Array(3).fill(110 + Math.floor(x / 4)));
+    const rgb = toRgb(image);
+    try {
+        applyClahe(cv, rgb, 3, 8);
+        assert.ok(rgbAt(rgb, 63, 32)[0] - rgbAt(rgb, 0, 32)[0] > 125 - 110);
+    } finally {
+        rgb.delete();
+    }
+});
+
+test('unsharp mask steepens edges but not on faces', { skip: noCv }, () => {
+    const image = fixture(64, 32, x => Array(3).fill(x < 32 ? 80 : 160));
+    const rgb = toRgb(image);
+    try {
+        applyUnsharpMask(cv, rgb, 1, 2, { faces: [faceAt(32, 24, 8)] });
+        assert.ok(rgbAt(rgb, 30, 4)[0] < 80 && rgbAt(rgb, 33, 4)[0] > 160);
+        assert.equal(rgbAt(rgb, 30, 24)[0], 80);
+        assert.equal(rgbAt(rgb, 33, 24)[0], 160);
+    } finally {
+        rgb.delete();
+    }
+});
+
+test('background blur keeps the subject sharp', { skip: noCv }, () => {
+    const image = fixture(64, 32, x => Array(3).fill(x % 2 === 0 ? 0 : 255));
+    const mask = createRegionMask([{ x: 0, y: 0, width: 16, height: 32 }], 64, 32, 1);
+    const rgb = toRgb(image);
+    try {
+        applyBackgroundBlur(cv, rgb, mask, 4);
+        assert.equal(rgbAt(rgb, 6, 16)[0], 0);
+        assert.equal(rgbAt(rgb, 7, 16)[0], 255);
+        assert.ok(Math.abs(rgbAt(rgb, 48, 16)[0] - 128) < 16);
+    } finally {
+        rgb.delete();
+    }
+});
+
+test('the full pipeline gives the same result for the same input', async () => {
+    const image = fixture(48, 32, (x, y) => [x * 5, y * 7, 120]);
+    const detections = [{ type: 'face', ...faceAt(24, 16, 10) }];
+    // Without OpenCV.js only the stages that need no WASM run
+    const settings = createPipelineSettings(cv ? {} : { claheClipLimit: 0, sharpenAmount: 0, subjectSharpen: 0, backgroundBlur: 0 });
+
+    const first = await enhanceImage(image, settings, { detections });
+    const second = await enhanceImage(image, settings, { detections });
+    assert.deepEqual(first.data, second.data);
+    assert.notDeepEqual(first.data, image.data);
+});
@@ -0,0 +1,132 @@
+/**
+ * Shared utility functions
+ */
+
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onloadend = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Decode a base64 data URL into a Blob without a network round trip
+ */
+export function dataUrlToBlob(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const mimeType = header.match(/^data:([^;]+)/)[1];
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * Load a classic script once - a script tag on the page, importScripts in a worker
+ */
+const scriptPromises = new Map();
+
+export function loadScript(src) {
+    if (!scriptPromises.has(src)) {
+        scriptPromises.set(src, new Promise((resolve, reject) => {
+            if (typeof importScripts === 'function') {
+                try {
+                    importScripts(src);
+                    resolve();
+                } catch (error) {
+                    scriptPromises.delete(src);
+                    reject(new Error(`Failed to load ${src}`));
+                }
+                return;
+            }
+
+            const script = document.createElement('script');
+            script.async = true;
+            script.src = src;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                scriptPromises.delete(src);
+                reject(new Error(`Failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        }));
+    }
+    return scriptPromises.get(src);
+}
+
+export function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load image'));
+        img.src = src;
+    });
+}
+
+/**
+ * Scale an image down so its longest side is at most `maxSide` pixels
+ */
+export async function downscaleDataUrl(dataUrl, maxSide, quality = 0.92) {
+    const img = await loadImage(dataUrl);
+    const scale = maxSide / Math.max(img.width, img.height);
+    if (scale >= 1) {
+        return dataUrl;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', quality);
+}
+
+export function canvasToBlob(canvas, type = 'image/jpeg', quality = 0.92) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode image')), type, quality);
+    });
+}
+
+/**
+ * Render a small JPEG thumbnail of an image Blob
+ */
+export async function createThumbnail(blob, maxSide = 256, quality = 0.8) {
+    const url = URL.createObjectURL(blob);
+
+    try {
+        const img = await loadImage(url);
+        const scale = Math.min(1, maxSide / Math.max(img.width, img.height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.width * scale));
+        canvas.height = Math.max(1, Math.round(img.height * scale));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+export function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) {
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+    if (bytes < 1024 * 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+export function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString();
+}
+
+export function formatDateTime(timestamp) {
+    return new Date(timestamp).toLocaleString();
+}
@@ -0,0 +1,108 @@
+/**
+ * Burst Picker View
+ * Shows the frames of a burst, sharpest first selected, and lets the user
+ * choose which to keep
+ */
+
+export class BurstPickerView {
+    constructor() {
+        this.elements = {
+            container: document.getElementById('burstPicker'),
+            frames: document.getElementById('burstFrames'),
+            keepBtn: document.getElementById('burstKeepBtn'),
+            discardBtn: document.getElementById('burstDiscardBtn')
+        };
+
+        this.selected = new Set();
+        this.frameUrls = [];
+        this.resolve = null;
+
+        this.elements.frames.addEventListener('click', (e) => {
+            const item = e.target.closest('.burst-frame');
+            if (!item) return;
+
+            const index = Number(item.dataset.index);
+            if (this.selected.has(index)) {
+                this.selected.delete(index);
+            } else {
+                this.selected.add(index);
+            }
+            item.classList.toggle('selected', this.selected.has(index));
+            this.updateKeepButton();
+        });
+
+        this.elements.keepBtn.addEventListener('click', () => this.finish([...this.selected].sort((a, b) => a - b)));
+        this.elements.discardBtn.addEventListener('click', () => {
+            if (confirm(`Discard all ${this.frameUrls.length} frames of this burst?`)) {
+                this.finish([]);
+            }
+        });
+    }
+
+    /**
+     * Resolves to the indexes of the frames to keep - empty when the user
+     * discards the burst
+     */
+    choose(frames, bestIndex) {
+        this.selected = new Set([bestIndex]);
+        this.render(frames, bestIndex);
+        this.elements.container.classList.add('active');
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+        });
+    }
+
+    render(frames, bestIndex) {
+        const container = this.elements.frames;
+        container.innerHTML = '';
+        this.releaseFrames();
+
+        frames.forEach(frame => {
+            const url = URL.createObjectURL(frame.picture.blob);
+            this.frameUrls.push(url);
+
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'burst-frame';
+            item.dataset.index = frame.index;
+            item.classList.toggle('selected', this.selected.has(frame.index));
+
+            const img = document.createElement('img');
+            img.src = url;
+            img.alt = `Frame ${frame.index + 1}`;
+
+            const label = document.createElement('div');
+            label.className = 'burst-frame-label';
+            label.textContent = frame.index === bestIndex
+                ? `${frame.index + 1} · sharpest`
+                : `${frame.index + 1}`;
+
+            item.append(img, label);
+            container.appendChild(item);
+        });
+
+        this.updateKeepButton();
+    }
+
+    updateKeepButton() {
+        const count = this.selected.size;
+        this.elements.keepBtn.disabled = count === 0;
+        this.elements.keepBtn.textContent = count > 1 ? `Keep ${count} frames` : 'Keep frame';
+    }
+
+    finish(indexes) {
+        this.elements.container.classList.remove('active');
+        this.elements.frames.innerHTML = '';
+        this.releaseFrames();
+
+        const resolve = this.resolve;
+        this.resolve = null;
+        if (resolve) resolve(indexes);
+    }
+
+    releaseFrames() {
+        this.frameUrls.forEach(url => URL.revokeObjectURL(url));
+        this.frameUrls = [];
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * Camera Controls View
+ * Viewfinder gestures (tap to focus, pinch to zoom) and the exposure and
+ * white balance controls. Controls the track does not support stay hidden.
+ */
+
+const TAP_TOLERANCE = 10;
+
+export class CameraControlsView {
+    constructor(camera, { showStatus }) {
+        this.camera = camera;
+        this.showStatus = showStatus;
+
+        this.elements = {
+            video: document.getElementById('videoElement'),
+            flashBtn: document.getElementById('flashBtn'),
+            focusRing: document.getElementById('focusRing'),
+            zoomIndicator: document.getElementById('zoomIndicator'),
+            controls: document.getElementById('cameraControls'),
+            exposureField: document.getElementById('exposureField'),
+            exposure: document.getElementById('exposureControl'),
+            whiteBalanceField: document.getElementById('whiteBalanceField'),
+            whiteBalance: document.getElementById('whiteBalanceControl')
+        };
+
+        this.pointers = new Map();
+        this.gesture = null;
+
+        // Zoom requests are coalesced: one applyConstraints at a time, latest value wins
+        this.zoomInFlight = false;
+        this.pendingZoom = null;
+
+        this.indicatorTimer = null;
+        this.focusTimer = null;
+
+        const video = this.elements.video;
+        video.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        video.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        video.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        video.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+
+        this.elements.exposure.addEventListener('input', () => {
+            this.apply(this.camera.setExposureCompensation(Number(this.elements.exposure.value)), 'exposure');
+        });
+        this.elements.whiteBalance.addEventListener('change', () => {
+            this.apply(this.camera.setWhiteBalanceMode(this.elements.whiteBalance.value), 'white balance');
+        });
+    }
+
+    /**
+     * Show the controls the current track supports
+     */
+    render() {
+        const camera = this.camera;
+        this.elements.flashBtn.classList.toggle('active', camera.flashMode);
+
+        const exposure = camera.getRange('exposureCompensation');
+        this.elements.exposureField.classList.toggle('hidden', !exposure);
+        if (exposure) {
+            const input = this.elements.exposure;
+            input.min = exposure.min;
+            input.max = exposure.max;
+            input.step = exposure.step || 0.1;
+            const settings = camera.track.getSettings();
+            input.value = settings.exposureCompensation !== undefined ? settings.exposureCompensation : 0;
+        }
+
+        const modes = camera.capabilities.whiteBalanceMode || [];
+        this.elements.whiteBalanceField.classList.toggle('hidden', modes.length < 2);
+        if (modes.length >= 2) {
+            const select = this.elements.whiteBalance;
+            select.innerHTML = '';
+            modes.forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode;
+                option.textContent = mode.charAt(0).toUpperCase() + mode.slice(1);
+                select.appendChild(option);
+            });
+            select.value = camera.track.getSettings().whiteBalanceMode || modes[0];
+        }
+
+        this.elements.controls.classList.toggle('hidden', !exposure && modes.length < 2);
+    }
+
+    async apply(promise, name) {
+        try {
+            await promise;
+        } catch (error) {
+            console.error(`Failed to set ${name}:`, error);
+            this.showStatus(`Could not change ${name}`);
+        }
+    }
+
+    onPointerDown(e) {
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pointers.size === 2) {
+            this.gesture = { type: 'pinch', distance: this.pinchDistance(), zoom: this.camera.zoom };
+        } else if (this.pointers.size === 1) {
+            this.gesture = { type: 'tap', x: e.clientX, y: e.clientY };
+        }
+    }
+
+    onPointerMove(e) {
+        if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.gesture.type === 'pinch' && this.pointers.size === 2) {
+            this.requestZoom(this.gesture.zoom * this.pinchDistance() / this.gesture.distance);
+        } else if (this.gesture.type === 'tap' &&
+                   Math.hypot(e.clientX - this.gesture.x, e.clientY - this.gesture.y) > TAP_TOLERANCE) {
+            this.gesture = null;
+        }
+    }
+
+    onPointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+
+        if (this.gesture && this.gesture.type === 'tap' && e.type === 'pointerup') {
+            this.focusAt(e.clientX, e.clientY);
+        }
+
+        // Lifting one finger of a pinch ends it; the other finger is not a tap
+        this.gesture = null;
+    }
+
+    pinchDistance() {
+        const [a, b] = [...this.pointers.values()];
+        return Math.max(1, Math.hypot(a.x - b.x, a.y - b.y));
+    }
+
+    async requestZoom(value) {
+        if (!this.camera.getRange('zoom')) return;
+
+        this.pendingZoom = value;
+        if (this.zoomInFlight) return;
+
+        this.zoomInFlight = true;
+        try {
+            while (this.pendingZoom !== null) {
+                const zoom = this.pendingZoom;
+                this.pendingZoom = null;
+                this.showZoom(await this.camera.setZoom(zoom));
+            }
+        } catch (error) {
+            console.error('Failed to set zoom:', error);
+            this.pendingZoom = null;
+        } finally {
+            this.zoomInFlight = false;
+        }
+    }
+
+    showZoom(zoom) {
+        const indicator = this.elements.zoomIndicator;
+        indicator.textContent = `${zoom.toFixed(1)}x`;
+        indicator.classList.add('show');
+
+        clearTimeout(this.indicatorTimer);
+        this.indicatorTimer = setTimeout(() => indicator.classList.remove('show'), 1200);
+    }
+
+    /**
+     * Focus and meter where the viewfinder was tapped
+     */
+    async focusAt(clientX, clientY) {
+        const point = this.camera.toVideoPoint(clientX, clientY);
+
+        try {
+            if (!await this.camera.focusAt(point.x, point.y)) return;
+        } catch (error) {
+            console.error('Failed to set focus point:', error);
+            return;
+        }
+
+        const ring = this.elements.focusRing;
+        ring.style.left = `${clientX}px`;
+        ring.style.top = `${clientY}px`;
+        ring.classList.remove('show');
+        // Restart the animation for repeated taps
+        void ring.offsetWidth;
+        ring.classList.add('show');
+
+        clearTimeout(this.focusTimer);
+        this.focusTimer = setTimeout(() => ring.classList.remove('show'), 1000);
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * Camera Settings View
+ * Camera, resolution and aspect ratio pickers, and the viewfinder guide
+ * showing the part of the frame a cropped aspect ratio keeps
+ */
+
+import { RESOLUTIONS, ASPECT_RATIOS } from '../cameraService.js';
+
+export class CameraSettingsView {
+    constructor(camera, { onChange }) {
+        this.camera = camera;
+
+        this.elements = {
+            video: document.getElementById('videoElement'),
+            device: document.getElementById('cameraDevice'),
+            resolution: document.getElementById('cameraResolution'),
+            aspectRatio: document.getElementById('cameraAspect'),
+            cropGuide: document.getElementById('cropGuide')
+        };
+
+        this.fillOptions(this.elements.resolution, RESOLUTIONS);
+        this.fillOptions(this.elements.aspectRatio, ASPECT_RATIOS);
+
+        const change = () => onChange({
+            deviceId: this.elements.device.value,
+            resolution: this.elements.resolution.value,
+            aspectRatio: this.elements.aspectRatio.value
+        });
+        this.elements.device.addEventListener('change', change);
+        this.elements.resolution.addEventListener('change', change);
+        this.elements.aspectRatio.addEventListener('change', change);
+
+        // Webcams plugged in or removed while the app is open
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.render());
+        }
+        window.addEventListener('resize', () => this.renderCropGuide());
+    }
+
+    fillOptions(select, choices) {
+        Object.entries(choices).forEach(([value, choice]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = choice.label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Show the current settings, re-reading the device list
+     */
+    async render() {
+        const settings = this.camera.settings;
+        this.elements.resolution.value = settings.resolution;
+        this.elements.aspectRatio.value = settings.aspectRatio;
+
+        let devices = [];
+        try {
+            devices = await this.camera.listDevices();
+        } catch (error) {
+            console.warn('Could not list cameras:', error);
+        }
+
+        const select = this.elements.device;
+        select.innerHTML = '';
+        const automatic = document.createElement('option');
+        automatic.value = '';
+        automatic.textContent = settings.facingMode === 'user' ? 'Default (front camera)' : 'Default (back camera)';
+        select.appendChild(automatic);
+
+        devices.forEach(device => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label;
+            select.appendChild(option);
+        });
+
+        select.value = devices.some(device => device.deviceId === settings.deviceId) ? settings.deviceId : '';
+        this.renderCropGuide();
+    }
+
+    /**
+     * Outline the captured area over the viewfinder (video shown with
+     * object-fit: cover) when the frame is cropped
+     */
+    renderCropGuide() {
+        const guide = this.elements.cropGuide;
+        const { width, height } = this.camera;
+        const crop = this.camera.getCropRect();
+
+        if (!this.camera.isActive || !width || !height || (crop.width === width && crop.height === height)) {
+            guide.classList.add('hidden');
+            return;
+        }
+
+        const rect = this.elements.video.getBoundingClientRect();
+        const scale = Math.max(rect.width / width, rect.height / height);
+        const offsetX = (rect.width - width * scale) / 2;
+        const offsetY = (rect.height - height * scale) / 2;
+
+        guide.style.left = `${rect.left + offsetX + crop.x * scale}px`;
+        guide.style.top = `${rect.top + offsetY + crop.y * scale}px`;
+        guide.style.width = `${crop.width * scale}px`;
+        guide.style.height = `${crop.height * scale}px`;
+        guide.classList.remove('hidden');
+    }
+}
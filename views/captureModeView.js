@@ -0,0 +1,136 @@
+/**
+ * Capture Mode View
+ * Self-timer and burst toggles on the camera screen, burst and night / HDR
+ * options in settings and the self-timer countdown
+ */
+
+import { SELF_TIMER_DELAYS, BURST_COUNTS, BURST_INTERVALS, BurstKeep, DEFAULT_CAPTURE_MODE } from '../captureMode.js';
+
+const KEEP_LABELS = {
+    [BurstKeep.BEST]: 'Sharpest frame (automatic)',
+    [BurstKeep.CHOOSE]: 'Let me choose frames'
+};
+
+export class CaptureModeView {
+    constructor({ onChange }) {
+        this.mode = { ...DEFAULT_CAPTURE_MODE };
+
+        this.countdownTimer = null;
+        this.countdownResolve = null;
+
+        this.elements = {
+            timerBtn: document.getElementById('timerBtn'),
+            timerLabel: document.getElementById('timerLabel'),
+            burstBtn: document.getElementById('burstBtn'),
+            burstLabel: document.getElementById('burstLabel'),
+            burstCount: document.getElementById('burstCount'),
+            burstInterval: document.getElementById('burstInterval'),
+            burstKeep: document.getElementById('burstKeep'),
+            multiFrame: document.getElementById('multiFrame'),
+            countdown: document.getElementById('countdown')
+        };
+
+        this.fillOptions(this.elements.burstCount, BURST_COUNTS.map(count => [count, `${count} frames`]));
+        this.fillOptions(this.elements.burstInterval, BURST_INTERVALS.map(ms => [ms, `${ms} ms apart`]));
+        this.fillOptions(this.elements.burstKeep, Object.entries(KEEP_LABELS));
+        this.fillOptions(this.elements.multiFrame, [['auto', 'Automatic (preview resolution)'], ['off', 'Off']]);
+
+        // The timer button steps through the delays: off, 3s, 10s
+        this.elements.timerBtn.addEventListener('click', () => {
+            const next = (SELF_TIMER_DELAYS.indexOf(this.mode.selfTimer) + 1) % SELF_TIMER_DELAYS.length;
+            onChange({ selfTimer: SELF_TIMER_DELAYS[next] });
+        });
+        this.elements.burstBtn.addEventListener('click', () => onChange({ burst: !this.mode.burst }));
+
+        this.elements.burstCount.addEventListener('change', () => {
+            onChange({ burstCount: Number(this.elements.burstCount.value) });
+        });
+        this.elements.burstInterval.addEventListener('change', () => {
+            onChange({ burstInterval: Number(this.elements.burstInterval.value) });
+        });
+        this.elements.burstKeep.addEventListener('change', () => {
+            onChange({ burstKeep: this.elements.burstKeep.value });
+        });
+        this.elements.multiFrame.addEventListener('change', () => {
+            onChange({ multiFrame: this.elements.multiFrame.value === 'auto' });
+        });
+    }
+
+    fillOptions(select, entries) {
+        entries.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    render(mode) {
+        this.mode = mode;
+        const { timerBtn, timerLabel, burstBtn, burstLabel } = this.elements;
+
+        timerBtn.classList.toggle('active', mode.selfTimer > 0);
+        timerLabel.textContent = mode.selfTimer > 0 ? `${mode.selfTimer}s` : '';
+        timerBtn.title = mode.selfTimer > 0 ? `Self-timer: ${mode.selfTimer}s` : 'Self-timer: off';
+
+        burstBtn.classList.toggle('active', mode.burst);
+        burstLabel.textContent = mode.burst ? `×${mode.burstCount}` : '';
+        burstBtn.title = mode.burst ? `Burst: ${mode.burstCount} frames` : 'Burst: off';
+
+        this.elements.burstCount.value = mode.burstCount;
+        this.elements.burstInterval.value = mode.burstInterval;
+        this.elements.burstKeep.value = mode.burstKeep;
+        this.elements.multiFrame.value = mode.multiFrame ? 'auto' : 'off';
+    }
+
+    get isCountingDown() {
+        return this.countdownResolve !== null;
+    }
+
+    /**
+     * Count down on screen. Resolves to true when the time is up, false
+     * when cancelled.
+     */
+    runCountdown(seconds) {
+        this.cancelCountdown();
+
+        return new Promise((resolve) => {
+            const countdown = this.elements.countdown;
+            let remaining = seconds;
+            this.countdownResolve = resolve;
+            countdown.classList.remove('hidden');
+
+            const tick = () => {
+                if (remaining === 0) {
+                    this.finishCountdown(true);
+                    return;
+                }
+
+                countdown.textContent = remaining;
+                countdown.classList.remove('tick');
+                // Restart the animation for each second
+                void countdown.offsetWidth;
+                countdown.classList.add('tick');
+
+                remaining--;
+                this.countdownTimer = setTimeout(tick, 1000);
+            };
+            tick();
+        });
+    }
+
+    cancelCountdown() {
+        this.finishCountdown(false);
+    }
+
+    finishCountdown(completed) {
+        clearTimeout(this.countdownTimer);
+        this.countdownTimer = null;
+        this.elements.countdown.classList.add('hidden');
+        this.elements.countdown.classList.remove('tick');
+
+        const resolve = this.countdownResolve;
+        this.countdownResolve = null;
+        if (resolve) resolve(completed);
+    }
+}
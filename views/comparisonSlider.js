@@ -0,0 +1,246 @@
+/**
+ * Comparison Slider
+ * Before/after split view: drag to move the split, tap and hold to flip to
+ * the other image, pinch to zoom and drag to pan both images together
+ */
+
+const HOLD_MS = 400;
+const MOVE_TOLERANCE = 8;
+const DOUBLE_TAP_MS = 300;
+const HANDLE_GRAB_PX = 30;
+const MAX_SCALE = 5;
+
+export class ComparisonSlider {
+    constructor(container) {
+        this.container = container;
+        this.before = container.querySelector('.comparison-before img');
+        this.afterLayer = container.querySelector('.comparison-after');
+        this.after = this.afterLayer.querySelector('img');
+        this.handle = container.querySelector('.comparison-handle');
+
+        // Split position as a percentage from the left; the enhanced image
+        // shows to the right of the handle
+        this.position = 50;
+        this.zoom = { scale: 1, x: 0, y: 0 };
+
+        this.pointers = new Map();
+        this.gesture = null;
+        this.holdTimer = null;
+        this.flipped = false;
+        this.lastTap = 0;
+
+        container.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        container.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        container.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        container.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        this.handle.addEventListener('keydown', (e) => this.onKeyDown(e));
+    }
+
+    setImages(beforeUrl, afterUrl) {
+        this.before.src = beforeUrl;
+        if (afterUrl) {
+            this.after.src = afterUrl;
+        } else {
+            this.after.removeAttribute('src');
+        }
+        this.reset();
+    }
+
+    /**
+     * Back to an unzoomed 50/50 split
+     */
+    reset() {
+        this.endFlip();
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.applyZoom();
+        this.setPosition(50);
+    }
+
+    setPosition(percent) {
+        this.position = Math.max(0, Math.min(100, percent));
+        this.afterLayer.style.clipPath = `inset(0 0 0 ${this.position}%)`;
+        this.handle.style.left = `${this.position}%`;
+        this.handle.setAttribute('aria-valuenow', Math.round(this.position));
+    }
+
+    onPointerDown(e) {
+        this.container.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pointers.size === 2) {
+            // A second finger turns any gesture into a pinch
+            this.cancelHold();
+            this.endFlip();
+            this.gesture = { type: 'pinch', ...this.pinchState() };
+            return;
+        }
+
+        const rect = this.container.getBoundingClientRect();
+        const handleX = rect.left + rect.width * this.position / 100;
+        const nearHandle = Math.abs(e.clientX - handleX) < HANDLE_GRAB_PX;
+
+        this.gesture = {
+            type: this.zoom.scale > 1 && !nearHandle ? 'pan' : 'split',
+            startX: e.clientX,
+            startY: e.clientY,
+            lastX: e.clientX,
+            lastY: e.clientY,
+            moved: false
+        };
+
+        this.holdTimer = setTimeout(() => this.startFlip(), HOLD_MS);
+    }
+
+    onPointerMove(e) {
+        if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        const gesture = this.gesture;
+
+        if (gesture.type === 'pinch') {
+            if (this.pointers.size < 2) return;
+            const current = this.pinchState();
+            this.zoomAround(current.midX, current.midY, current.distance / gesture.distance);
+            this.panBy(current.midX - gesture.midX, current.midY - gesture.midY);
+            Object.assign(gesture, current);
+            return;
+        }
+
+        if (!gesture.moved) {
+            const distance = Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY);
+            if (distance < MOVE_TOLERANCE) return;
+            gesture.moved = true;
+            this.cancelHold();
+        }
+
+        if (this.flipped) return;
+
+        if (gesture.type === 'split') {
+            const rect = this.container.getBoundingClientRect();
+            this.setPosition((e.clientX - rect.left) / rect.width * 100);
+        } else {
+            this.panBy(e.clientX - gesture.lastX, e.clientY - gesture.lastY);
+        }
+
+        gesture.lastX = e.clientX;
+        gesture.lastY = e.clientY;
+    }
+
+    onPointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+
+        const gesture = this.gesture;
+        this.cancelHold();
+
+        if (this.flipped) {
+            this.endFlip();
+        } else if (gesture && gesture.type !== 'pinch' && !gesture.moved) {
+            this.handleTap();
+        }
+
+        // Lifting one finger of a pinch leaves nothing to track until the next touch
+        this.gesture = null;
+    }
+
+    /**
+     * Double tap resets the zoom
+     */
+    handleTap() {
+        const now = Date.now();
+        if (now - this.lastTap < DOUBLE_TAP_MS) {
+            this.zoom = { scale: 1, x: 0, y: 0 };
+            this.applyZoom();
+            this.lastTap = 0;
+        } else {
+            this.lastTap = now;
+        }
+    }
+
+    onKeyDown(e) {
+        const step = e.shiftKey ? 10 : 2;
+        if (e.key === 'ArrowLeft') {
+            this.setPosition(this.position - step);
+        } else if (e.key === 'ArrowRight') {
+            this.setPosition(this.position + step);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * Show whichever image is mostly hidden, full frame, while held
+     */
+    startFlip() {
+        this.holdTimer = null;
+        if (!this.after.getAttribute('src')) return;
+
+        this.flipped = true;
+        this.afterLayer.style.clipPath = this.position > 50 ? 'inset(0)' : 'inset(0 0 0 100%)';
+        this.container.classList.add('flipped');
+    }
+
+    endFlip() {
+        if (!this.flipped) return;
+
+        this.flipped = false;
+        this.container.classList.remove('flipped');
+        this.setPosition(this.position);
+    }
+
+    cancelHold() {
+        clearTimeout(this.holdTimer);
+        this.holdTimer = null;
+    }
+
+    pinchState() {
+        const [a, b] = [...this.pointers.values()];
+        return {
+            midX: (a.x + b.x) / 2,
+            midY: (a.y + b.y) / 2,
+            distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y))
+        };
+    }
+
+    /**
+     * Scale by `factor`, keeping the point under (clientX, clientY) in place
+     */
+    zoomAround(clientX, clientY, factor) {
+        const rect = this.container.getBoundingClientRect();
+        const scale = Math.max(1, Math.min(MAX_SCALE, this.zoom.scale * factor));
+        const applied = scale / this.zoom.scale;
+
+        // Offsets are relative to the centre, where the transform origin sits
+        const offsetX = clientX - rect.left - rect.width / 2;
+        const offsetY = clientY - rect.top - rect.height / 2;
+
+        this.zoom.x = offsetX - (offsetX - this.zoom.x) * applied;
+        this.zoom.y = offsetY - (offsetY - this.zoom.y) * applied;
+        this.zoom.scale = scale;
+        this.applyZoom();
+    }
+
+    panBy(dx, dy) {
+        this.zoom.x += dx;
+        this.zoom.y += dy;
+        this.applyZoom();
+    }
+
+    /**
+     * Apply the same transform to both images so they stay aligned
+     */
+    applyZoom() {
+        const rect = this.container.getBoundingClientRect();
+        const maxX = rect.width * (this.zoom.scale - 1) / 2;
+        const maxY = rect.height * (this.zoom.scale - 1) / 2;
+
+        this.zoom.x = Math.max(-maxX, Math.min(maxX, this.zoom.x));
+        this.zoom.y = Math.max(-maxY, Math.min(maxY, this.zoom.y));
+
+        const transform = `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${this.zoom.scale})`;
+        this.before.style.transform = transform;
+        this.after.style.transform = transform;
+        this.container.classList.toggle('zoomed', this.zoom.scale > 1);
+    }
+}
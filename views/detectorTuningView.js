@@ -0,0 +1,109 @@
+/**
+ * Detector Tuning View
+ * Profile picker, parameter sliders and the live threshold mask / contour
+ * overlay for tuning detection on real scenes
+ */
+
+import { CONFIG_PARAMETERS, DETECTOR_PROFILES } from '../detectors/detectorConfig.js';
+
+export class DetectorTuningView {
+    constructor({ onProfileChange, onParameterChange, onReset, onToggle }) {
+        this.onToggle = onToggle;
+
+        this.elements = {
+            panel: document.getElementById('detectorPanel'),
+            profile: document.getElementById('detectorProfile'),
+            params: document.getElementById('detectorParams'),
+            debugCanvas: document.getElementById('detectorDebug'),
+            debugNote: document.getElementById('detectorDebugNote'),
+            resetBtn: document.getElementById('detectorResetBtn')
+        };
+
+        Object.entries(DETECTOR_PROFILES).forEach(([name, profile]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = profile.label;
+            this.elements.profile.appendChild(option);
+        });
+
+        this.elements.profile.addEventListener('change', () => onProfileChange(this.elements.profile.value));
+        this.elements.resetBtn.addEventListener('click', () => onReset());
+
+        // Sliders apply as they move
+        this.elements.params.addEventListener('input', (e) => {
+            const input = e.target.closest('input[data-key]');
+            if (!input) return;
+
+            input.nextElementSibling.textContent = input.value;
+            onParameterChange(input.dataset.key, Number(input.value));
+        });
+    }
+
+    get isOpen() {
+        return !this.elements.panel.classList.contains('hidden');
+    }
+
+    toggle() {
+        this.elements.panel.classList.toggle('hidden');
+        this.clearDebug();
+        this.onToggle(this.isOpen);
+    }
+
+    render(profileName, config, customized) {
+        this.elements.profile.value = profileName;
+        this.setCustomized(customized);
+        this.elements.params.innerHTML = '';
+
+        CONFIG_PARAMETERS.forEach(({ key, label, min, max, step }) => {
+            const row = document.createElement('label');
+            row.className = 'detector-param';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = min;
+            input.max = max;
+            input.step = step;
+            input.value = config[key];
+            input.dataset.key = key;
+
+            const value = document.createElement('span');
+            value.className = 'detector-param-value';
+            value.textContent = config[key];
+
+            row.append(name, input, value);
+            this.elements.params.appendChild(row);
+        });
+    }
+
+    /**
+     * Reset is only offered when the profile has been tuned
+     */
+    setCustomized(customized) {
+        this.elements.resetBtn.disabled = !customized;
+    }
+
+    /**
+     * Show a debug frame (ImageData) from the detector
+     */
+    drawDebug(image) {
+        const canvas = this.elements.debugCanvas;
+        if (canvas.width !== image.width || canvas.height !== image.height) {
+            canvas.width = image.width;
+            canvas.height = image.height;
+        }
+        canvas.getContext('2d').putImageData(image, 0, 0);
+        this.elements.debugNote.classList.add('hidden');
+    }
+
+    /**
+     * Until a frame arrives - backends without a debug view never send one
+     */
+    clearDebug() {
+        const canvas = this.elements.debugCanvas;
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        this.elements.debugNote.classList.remove('hidden');
+    }
+}
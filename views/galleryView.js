@@ -0,0 +1,180 @@
+/**
+ * Gallery View
+ * Photo grid (one item per capture and its versions) plus the gallery
+ * button summary on the camera screen
+ */
+
+import { formatBytes, formatDate } from '../utils.js';
+import { QueueStatus } from '../enhancementQueue.js';
+
+const BADGE_LABELS = {
+    [QueueStatus.PENDING]: 'Queued',
+    [QueueStatus.DONE]: 'Enhanced',
+    [QueueStatus.FAILED]: 'Failed'
+};
+
+export class GalleryView {
+    constructor(store, queue, { onOpenGroup }) {
+        this.store = store;
+        this.queue = queue;
+        this.onOpenGroup = onOpenGroup;
+
+        this.elements = {
+            container: document.getElementById('galleryView'),
+            grid: document.getElementById('galleryGrid'),
+            emptyGallery: document.getElementById('emptyGallery'),
+            galleryCount: document.getElementById('galleryCount'),
+            galleryStorage: document.getElementById('galleryStorage'),
+            photoCount: document.getElementById('photoCount'),
+            lastPhotoPreview: document.getElementById('lastPhotoPreview')
+        };
+
+        // Open photos through delegation so re-renders need no rebinding
+        this.elements.grid.addEventListener('click', (e) => {
+            const item = e.target.closest('.photo-item');
+            if (item) {
+                this.onOpenGroup(item.dataset.groupId);
+            }
+        });
+
+        this.store.subscribe(() => {
+            this.updateSummary();
+            if (this.isOpen) {
+                this.render();
+                this.updateStorageUsage();
+            }
+        });
+
+        // Progress updates are frequent, so only touch the affected badge
+        this.queue.subscribe((job) => {
+            if (this.isOpen) this.updateBadge(job.photoId);
+        });
+    }
+
+    get isOpen() {
+        return this.elements.container.classList.contains('active');
+    }
+
+    open() {
+        this.elements.container.classList.add('active');
+        this.render();
+        this.updateStorageUsage();
+    }
+
+    close() {
+        this.elements.container.classList.remove('active');
+    }
+
+    render() {
+        const { grid, emptyGallery } = this.elements;
+        const groups = this.store.groups;
+
+        // Keep the empty state element attached so it can be shown again
+        grid.querySelectorAll('.photo-item').forEach(item => item.remove());
+
+        if (groups.length === 0) {
+            emptyGallery.style.display = 'flex';
+            return;
+        }
+
+        emptyGallery.style.display = 'none';
+
+        groups.forEach((group, index) => {
+            const thumbnailUrl = this.store.getThumbnailUrl(group.cover.id);
+            if (!thumbnailUrl) {
+                console.warn(`Skipping photo without image at index ${index}`);
+                return;
+            }
+
+            const item = document.createElement('div');
+            item.className = 'photo-item';
+            item.dataset.groupId = group.groupId;
+
+            // Queue jobs are keyed by the original
+            if (group.original) {
+                item.dataset.photoId = group.original.id;
+            }
+
+            const img = document.createElement('img');
+            img.src = thumbnailUrl;
+            img.alt = `Photo ${index + 1}`;
+            img.loading = 'lazy';
+            img.onerror = () => { item.style.display = 'none'; };
+
+            const timestamp = document.createElement('div');
+            timestamp.className = 'photo-timestamp';
+            timestamp.textContent = formatDate(group.timestamp);
+
+            item.append(img, timestamp);
+
+            if (group.photos.length > 1) {
+                const versions = document.createElement('div');
+                versions.className = 'version-count';
+                versions.textContent = group.photos.length;
+                versions.title = group.frames.length > 0
+                    ? `Burst of ${group.frames.length + 1} frames`
+                    : `${group.photos.length} versions`;
+                item.appendChild(versions);
+            }
+
+            grid.appendChild(item);
+            if (group.original) this.updateBadge(group.original.id);
+        });
+    }
+
+    /**
+     * Show the enhancement queue status of a photo on its thumbnail
+     */
+    updateBadge(photoId) {
+        const item = this.elements.grid.querySelector(`.photo-item[data-photo-id="${photoId}"]`);
+        if (!item) return;
+
+        const job = this.queue.getJob(photoId);
+        let badge = item.querySelector('.queue-badge');
+
+        if (!job) {
+            if (badge) badge.remove();
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('div');
+            item.appendChild(badge);
+        }
+
+        badge.className = `queue-badge ${job.status}`;
+        badge.textContent = job.status === QueueStatus.PROCESSING
+            ? `${job.progress}%`
+            : BADGE_LABELS[job.status];
+        badge.title = job.status === QueueStatus.FAILED ? job.error : job.message;
+    }
+
+    /**
+     * Update counts and the last photo preview
+     */
+    updateSummary() {
+        const { photoCount, galleryCount, lastPhotoPreview } = this.elements;
+        const groups = this.store.groups;
+        const count = groups.length;
+
+        photoCount.textContent = count;
+        galleryCount.textContent = `${count} photo${count === 1 ? '' : 's'}`;
+
+        if (count > 0) {
+            lastPhotoPreview.src = this.store.getThumbnailUrl(groups[0].cover.id) || '';
+            lastPhotoPreview.classList.remove('hidden');
+        } else {
+            lastPhotoPreview.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Show how much of the browser's storage quota the library uses
+     */
+    async updateStorageUsage() {
+        const estimate = await this.store.getStorageUsage();
+        this.elements.galleryStorage.textContent = estimate
+            ? `${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used`
+            : '';
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * Photo Editor View
+ * Full-screen editor for one photo: rotate, straighten, crop and tone
+ * sliders over a screen-sized preview. Only the edit parameters leave the
+ * editor - the stored image is never changed.
+ */
+
+import { EDIT_PARAMETERS, createEdits, clampCrop, getEditChanges, getFrameSize, renderEdits, MIN_CROP_SIZE } from '../photoEdits.js';
+
+// The preview is rendered from a copy of the photo at this size
+const PREVIEW_SIDE = 1280;
+
+// Crop aspect ratios (width / height of a landscape frame)
+const CROP_ASPECTS = [
+    ['free', 'Free crop', null],
+    ['original', 'Original ratio', 'original'],
+    ['1:1', 'Square', 1],
+    ['4:3', '4:3', 4 / 3],
+    ['3:2', '3:2', 3 / 2],
+    ['16:9', '16:9', 16 / 9]
+];
+
+export class PhotoEditorView {
+    constructor() {
+        this.elements = {
+            container: document.getElementById('photoEditor'),
+            frame: document.getElementById('editorFrame'),
+            canvas: document.getElementById('editorCanvas'),
+            crop: document.getElementById('editorCrop'),
+            params: document.getElementById('editorParams'),
+            rotateBtn: document.getElementById('editorRotateBtn'),
+            aspect: document.getElementById('editorAspect'),
+            resetBtn: document.getElementById('editorResetBtn'),
+            revertBtn: document.getElementById('editorRevertBtn'),
+            cancelBtn: document.getElementById('editorCancelBtn'),
+            doneBtn: document.getElementById('editorDoneBtn')
+        };
+
+        this.source = null;
+        this.draft = createEdits();
+        this.renderRequest = 0;
+        this.drag = null;
+        this.resolve = null;
+
+        CROP_ASPECTS.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.elements.aspect.appendChild(option);
+        });
+        this.createSliders();
+
+        this.elements.params.addEventListener('input', (e) => {
+            const input = e.target.closest('input[data-key]');
+            if (!input) return;
+
+            this.draft[input.dataset.key] = Number(input.value);
+            input.nextElementSibling.textContent = input.value;
+            this.scheduleRender();
+        });
+
+        // A quarter turn changes the frame, so the crop starts over
+        this.elements.rotateBtn.addEventListener('click', () => {
+            this.draft.rotation = (this.draft.rotation + 1) % 4;
+            this.draft.crop = this.fitAspect();
+            this.scheduleRender();
+        });
+        this.elements.aspect.addEventListener('change', () => {
+            this.draft.crop = this.fitAspect();
+            this.renderCrop();
+        });
+
+        this.elements.crop.addEventListener('pointerdown', (e) => this.startDrag(e));
+        this.elements.crop.addEventListener('pointermove', (e) => this.moveDrag(e));
+        this.elements.crop.addEventListener('pointerup', () => { this.drag = null; });
+        this.elements.crop.addEventListener('pointercancel', () => { this.drag = null; });
+
+        this.elements.resetBtn.addEventListener('click', () => {
+            this.elements.aspect.value = 'free';
+            this.setDraft(createEdits());
+        });
+        this.elements.revertBtn.addEventListener('click', () => {
+            if (confirm('Remove all edits and go back to the original photo?')) {
+                this.finish({ edits: null });
+            }
+        });
+        this.elements.cancelBtn.addEventListener('click', () => this.finish(null));
+        this.elements.doneBtn.addEventListener('click', () => this.finish({ edits: getEditChanges(this.draft) }));
+    }
+
+    createSliders() {
+        EDIT_PARAMETERS.forEach(({ key, label, min, max, step }) => {
+            const row = document.createElement('label');
+            row.className = 'detector-param';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = min;
+            input.max = max;
+            input.step = step;
+            input.dataset.key = key;
+
+            const value = document.createElement('span');
+            value.className = 'detector-param-value';
+
+            row.append(name, input, value);
+            this.elements.params.appendChild(row);
+        });
+    }
+
+    /**
+     * Edit `image` starting from its saved `edits`. Resolves to
+     * `{ edits }` - null edits meaning back to the original - or to null
+     * when the user cancels.
+     */
+    edit(image, edits) {
+        this.source = this.createPreviewSource(image);
+        this.elements.aspect.value = 'free';
+        this.elements.revertBtn.classList.toggle('hidden', !edits);
+        this.setDraft(createEdits(edits));
+        this.elements.container.classList.add('active');
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+        });
+    }
+
+    createPreviewSource(image) {
+        const scale = Math.min(1, PREVIEW_SIDE / Math.max(image.naturalWidth || image.width, image.naturalHeight || image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round((image.naturalWidth || image.width) * scale));
+        canvas.height = Math.max(1, Math.round((image.naturalHeight || image.height) * scale));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    setDraft(edits) {
+        this.draft = edits;
+        this.elements.params.querySelectorAll('input[data-key]').forEach(input => {
+            input.value = edits[input.dataset.key];
+            input.nextElementSibling.textContent = input.value;
+        });
+        this.scheduleRender();
+    }
+
+    scheduleRender() {
+        if (this.renderRequest) return;
+        this.renderRequest = requestAnimationFrame(() => {
+            this.renderRequest = 0;
+            this.render();
+        });
+    }
+
+    /**
+     * The whole frame with the crop drawn over it
+     */
+    render() {
+        if (!this.source) return;
+
+        const preview = renderEdits(this.source, this.draft, { crop: false });
+        const canvas = this.elements.canvas;
+        canvas.width = preview.width;
+        canvas.height = preview.height;
+        canvas.getContext('2d').drawImage(preview, 0, 0);
+        this.renderCrop();
+    }
+
+    renderCrop() {
+        const { x, y, width, height } = this.draft.crop;
+        Object.assign(this.elements.crop.style, {
+            left: `${x * 100}%`,
+            top: `${y * 100}%`,
+            width: `${width * 100}%`,
+            height: `${height * 100}%`
+        });
+    }
+
+    /**
+     * Height of a crop `width` wide at the chosen aspect ratio, in frame
+     * units, or null for a free crop
+     */
+    getAspectHeight(width) {
+        const [, , ratio] = CROP_ASPECTS.find(([value]) => value === this.elements.aspect.value);
+        if (ratio === null) return null;
+        if (ratio === 'original') return width;
+
+        // Ratios follow the frame's orientation
+        const frame = getFrameSize(this.source.width, this.source.height, this.draft);
+        const aspect = frame.width >= frame.height ? ratio : 1 / ratio;
+        return width * frame.width / (frame.height * aspect);
+    }
+
+    /**
+     * Largest centered crop at the chosen aspect ratio
+     */
+    fitAspect() {
+        let width = 1;
+        let height = this.getAspectHeight(1);
+        if (height === null) return clampCrop({});
+
+        if (height > 1) {
+            width = 1 / height;
+            height = 1;
+        }
+        return clampCrop({ x: (1 - width) / 2, y: (1 - height) / 2, width, height });
+    }
+
+    startDrag(e) {
+        e.preventDefault();
+        this.elements.crop.setPointerCapture(e.pointerId);
+        this.drag = {
+            corner: e.target.dataset.corner || null,
+            startX: e.clientX,
+            startY: e.clientY,
+            crop: { ...this.draft.crop }
+        };
+    }
+
+    /**
+     * Move the crop, or resize it from the dragged corner with the
+     * opposite corner fixed
+     */
+    moveDrag(e) {
+        if (!this.drag) return;
+
+        const bounds = this.elements.frame.getBoundingClientRect();
+        const dx = (e.clientX - this.drag.startX) / bounds.width;
+        const dy = (e.clientY - this.drag.startY) / bounds.height;
+        const { corner, crop } = this.drag;
+
+        if (!corner) {
+            this.draft.crop = clampCrop({ ...crop, x: crop.x + dx, y: crop.y + dy });
+            this.renderCrop();
+            return;
+        }
+
+        const west = corner.includes('w');
+        const north = corner.includes('n');
+        const anchorX = west ? crop.x + crop.width : crop.x;
+        const anchorY = north ? crop.y + crop.height : crop.y;
+
+        let width = Math.max(MIN_CROP_SIZE, west ? crop.width - dx : crop.width + dx);
+        let height = Math.max(MIN_CROP_SIZE, north ? crop.height - dy : crop.height + dy);
+        width = Math.min(width, west ? anchorX : 1 - anchorX);
+        height = Math.min(height, north ? anchorY : 1 - anchorY);
+
+        const aspectHeight = this.getAspectHeight(width);
+        if (aspectHeight !== null) {
+            // Shrink the width when the locked height would not fit
+            const maxHeight = north ? anchorY : 1 - anchorY;
+            height = Math.min(aspectHeight, maxHeight);
+            width = width * height / aspectHeight;
+        }
+
+        this.draft.crop = clampCrop({
+            x: west ? anchorX - width : anchorX,
+            y: north ? anchorY - height : anchorY,
+            width: width,
+            height: height
+        });
+        this.renderCrop();
+    }
+
+    finish(result) {
+        cancelAnimationFrame(this.renderRequest);
+        this.renderRequest = 0;
+        this.drag = null;
+        this.source = null;
+        this.elements.container.classList.remove('active');
+
+        const resolve = this.resolve;
+        this.resolve = null;
+        if (resolve) resolve(result);
+    }
+}
@@ -0,0 +1,401 @@
+/**
+ * Photo Viewer
+ * Full-screen view of a capture and its versions with edit, re-enhance,
+ * share, save and delete actions. Edited photos are shown and exported
+ * with their edits applied.
+ */
+
+import { formatDateTime, loadImage, canvasToBlob } from '../utils.js';
+import { QueueStatus } from '../enhancementQueue.js';
+import { PhotoType } from '../photoRecord.js';
+import { STYLE_PRESETS, getStylePreset } from '../stylePresets.js';
+import { renderEdits } from '../photoEdits.js';
+
+// Edited photos are rendered at this size for viewing; exports use the full image
+const DISPLAY_SIDE = 2048;
+
+export class PhotoViewer {
+    constructor(store, queue, { editor, showStatus, onCompare, onDelete, getStylePreset: getDefaultStyle }) {
+        this.store = store;
+        this.queue = queue;
+        this.editor = editor;
+        this.showStatus = showStatus;
+        this.onCompare = onCompare;
+        this.onDelete = onDelete;
+        this.getDefaultStyle = getDefaultStyle;
+
+        // Tracked by id - versions are added while the viewer is open
+        this.currentGroupId = null;
+        this.currentId = null;
+        this.imageUrl = null;
+
+        this.elements = {
+            container: document.getElementById('photoViewer'),
+            image: document.getElementById('viewerImage'),
+            info: document.getElementById('photoInfo'),
+            details: document.getElementById('photoDetails'),
+            versionTabs: document.getElementById('versionTabs'),
+            compareBtn: document.getElementById('compareBtn'),
+            retryBtn: document.getElementById('retryBtn'),
+            reenhanceStyle: document.getElementById('reenhanceStyle'),
+            reenhanceBtn: document.getElementById('reenhanceBtn')
+        };
+
+        Object.entries(STYLE_PRESETS).forEach(([name, preset]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = preset.label;
+            this.elements.reenhanceStyle.appendChild(option);
+        });
+
+        this.elements.versionTabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('button[data-photo-id]');
+            if (tab) this.showVersion(tab.dataset.photoId);
+        });
+
+        this.store.subscribe(() => {
+            if (!this.isOpen) return;
+
+            if (!this.currentGroup) {
+                this.close();
+            } else {
+                this.renderVersionTabs();
+                this.updateInfo();
+            }
+        });
+
+        this.queue.subscribe((job) => {
+            const group = this.currentGroup;
+            if (group && group.original && job.photoId === group.original.id) this.updateInfo();
+        });
+    }
+
+    get isOpen() {
+        return this.currentGroupId !== null;
+    }
+
+    get currentGroup() {
+        return this.currentGroupId === null ? null : this.store.getGroup(this.currentGroupId);
+    }
+
+    get currentPhoto() {
+        return this.currentId === null ? null : this.store.getById(this.currentId);
+    }
+
+    /**
+     * Open a capture, showing its newest version unless one is given
+     */
+    open(groupId, photoId = null) {
+        const group = this.store.getGroup(groupId);
+        if (!group) {
+            console.error('Invalid photo group:', groupId);
+            this.showStatus('Error loading photo');
+            return;
+        }
+
+        this.currentGroupId = groupId;
+        this.elements.reenhanceStyle.value = this.getDefaultStyle();
+        this.elements.image.onerror = () => {
+            this.showStatus('Failed to load photo');
+            this.close();
+        };
+
+        this.renderVersionTabs();
+        this.elements.container.classList.add('active');
+        this.showVersion(photoId || group.cover.id);
+    }
+
+    close() {
+        this.elements.container.classList.remove('active');
+        this.currentGroupId = null;
+        this.currentId = null;
+        this.releaseImage();
+    }
+
+    releaseImage() {
+        if (this.imageUrl) {
+            URL.revokeObjectURL(this.imageUrl);
+            this.imageUrl = null;
+        }
+    }
+
+    async showVersion(photoId) {
+        const photo = this.store.getById(photoId);
+        if (!photo) return;
+
+        this.currentId = photo.id;
+        this.renderVersionTabs();
+
+        // Show the thumbnail straight away, then swap in the full image
+        const thumbnailUrl = this.store.getThumbnailUrl(photo.id);
+        if (thumbnailUrl) {
+            this.elements.image.src = thumbnailUrl;
+        }
+        this.updateInfo();
+
+        try {
+            const imageUrl = photo.edits ? await this.renderEditedUrl(photo) : await this.store.getObjectUrl(photo.id);
+            if (this.currentId !== photo.id) {
+                URL.revokeObjectURL(imageUrl);
+                return;
+            }
+            this.releaseImage();
+            this.imageUrl = imageUrl;
+            this.elements.image.src = imageUrl;
+        } catch (error) {
+            console.error('Failed to load photo:', error);
+            this.showStatus('Failed to load photo');
+        }
+    }
+
+    /**
+     * Object URL of the photo with its edits applied at display size. The
+     * caller must revoke it.
+     */
+    async renderEditedUrl(photo) {
+        const image = await this.loadPhotoImage(photo);
+        const canvas = renderEdits(image, photo.edits, { maxSide: DISPLAY_SIDE });
+        return URL.createObjectURL(await canvasToBlob(canvas));
+    }
+
+    async loadPhotoImage(photo) {
+        const url = await this.store.getObjectUrl(photo.id);
+        try {
+            return await loadImage(url);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * The image to share or save: the stored one, or a full resolution
+     * render of the edits
+     */
+    async getExportBlob(photo) {
+        if (!photo.edits) {
+            return this.store.getBlob(photo.id);
+        }
+        const image = await this.loadPhotoImage(photo);
+        return canvasToBlob(renderEdits(image, photo.edits), 'image/jpeg', 0.95);
+    }
+
+    /**
+     * One tab per version; hidden when the capture has a single version
+     */
+    renderVersionTabs() {
+        const group = this.currentGroup;
+        const tabs = this.elements.versionTabs;
+        tabs.innerHTML = '';
+
+        if (!group || group.photos.length < 2) {
+            tabs.classList.add('hidden');
+            return;
+        }
+
+        tabs.classList.remove('hidden');
+        group.photos.forEach((photo, index) => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'version-tab';
+            tab.dataset.photoId = photo.id;
+            tab.textContent = this.describeVersion(photo, index);
+            tab.classList.toggle('active', photo.id === this.currentId);
+            tabs.appendChild(tab);
+        });
+    }
+
+    describeVersion(photo, index) {
+        if (photo.type === PhotoType.ORIGINAL) {
+            if (!photo.burst) return 'Original';
+            return photo.burst.selected ? `Frame ${photo.burst.index + 1} · best` : `Frame ${photo.burst.index + 1}`;
+        }
+
+        const enhancedIndex = index - this.currentGroup.frames.length;
+        const label = enhancedIndex > 1 ? `Enhanced ${enhancedIndex}` : 'Enhanced';
+        const style = photo.enhancement && photo.enhancement.style;
+        return style ? `${label} · ${getStylePreset(style).label}` : label;
+    }
+
+    /**
+     * Show capture time, enhancement status and details of the current version
+     */
+    updateInfo() {
+        const photo = this.currentPhoto;
+        const group = this.currentGroup;
+        if (!photo || !group) return;
+
+        const job = group.original ? this.queue.getJob(group.original.id) : null;
+        let status = '';
+
+        if (job && job.status === QueueStatus.PENDING) {
+            status = ' · Waiting to enhance';
+        } else if (job && job.status === QueueStatus.PROCESSING) {
+            status = ` · Enhancing ${job.progress}%`;
+        } else if (job && job.status === QueueStatus.FAILED) {
+            status = ' · Enhancement failed';
+        }
+
+        this.elements.info.textContent = formatDateTime(photo.timestamp) + status;
+        this.elements.details.textContent = this.describeDetails(photo);
+
+        const canCompare = Boolean(group.original) && (Boolean(job) || group.versions.length > 0);
+        this.elements.compareBtn.classList.toggle('hidden', !canCompare);
+        this.elements.retryBtn.classList.toggle('hidden', !job || job.status !== QueueStatus.FAILED);
+
+        const busy = Boolean(job) && (job.status === QueueStatus.PENDING || job.status === QueueStatus.PROCESSING);
+        this.elements.reenhanceStyle.classList.toggle('hidden', !group.original);
+        this.elements.reenhanceBtn.classList.toggle('hidden', !group.original);
+        this.elements.reenhanceBtn.disabled = busy;
+    }
+
+    describeDetails(photo) {
+        if (photo.enhancement) {
+            const { method, style, processingTime } = photo.enhancement;
+            const parts = [method || 'Enhanced'];
+            if (style) parts.push(`Style: ${getStylePreset(style).label}`);
+            if (processingTime) parts.push(`${(processingTime / 1000).toFixed(1)}s`);
+            if (photo.edits) parts.push('Edited');
+            return parts.join(' · ');
+        }
+
+        const { capture = {}, detections = [], burst } = photo;
+        const parts = [];
+        if (burst) parts.push(`Burst frame ${burst.index + 1} of ${burst.count}`);
+        if (burst && typeof burst.sharpness === 'number') parts.push(`Sharpness ${Math.round(burst.sharpness)}`);
+        if (capture.width && capture.height) parts.push(`${capture.width}×${capture.height}`);
+        if (capture.facingMode) parts.push(capture.facingMode === 'user' ? 'Front camera' : 'Back camera');
+        if (capture.merge) parts.push(`${capture.merge.mode === 'hdr' ? 'HDR' : 'Night'} (${capture.merge.frames} frames)`);
+        if (capture.flash) parts.push('Flash');
+        if (detections.length > 0) parts.push(`${detections.length} object${detections.length === 1 ? '' : 's'}`);
+        if (photo.edits) parts.push('Edited');
+        return parts.join(' · ');
+    }
+
+    compare() {
+        const group = this.currentGroup;
+        if (!group || !group.original) return;
+
+        this.close();
+        this.onCompare(group.original.id);
+    }
+
+    retry() {
+        const group = this.currentGroup;
+        if (!group || !group.original) return;
+
+        this.queue.retry(group.original.id);
+        this.showStatus('Enhancement queued again');
+    }
+
+    /**
+     * Edit the current version. Only the edit parameters are saved; the
+     * stored image stays as it was.
+     */
+    async edit() {
+        const photo = this.currentPhoto;
+        if (!photo) return;
+
+        let image;
+        try {
+            image = await this.loadPhotoImage(photo);
+        } catch (error) {
+            console.error('Failed to open editor:', error);
+            this.showStatus('Failed to load photo');
+            return;
+        }
+
+        const result = await this.editor.edit(image, photo.edits);
+        if (!result) return;
+
+        try {
+            const thumbnail = result.edits
+                ? await canvasToBlob(renderEdits(image, result.edits, { maxSide: 256 }), 'image/jpeg', 0.8)
+                : null;
+            await this.store.setEdits(photo.id, result.edits, thumbnail);
+            if (this.currentId === photo.id) this.showVersion(photo.id);
+            this.showStatus(result.edits ? 'Edits saved' : 'Edits removed - showing the original');
+        } catch (error) {
+            console.error('Saving edits failed:', error);
+            this.showStatus('Failed to save edits');
+        }
+    }
+
+    /**
+     * Enhance the original again in the chosen style. The result is kept
+     * as a new version of the same capture.
+     */
+    reenhance() {
+        const group = this.currentGroup;
+        if (!group || !group.original) return;
+
+        const status = this.queue.getStatus(group.original.id);
+        if (status === QueueStatus.PENDING || status === QueueStatus.PROCESSING) return;
+
+        const style = this.elements.reenhanceStyle.value;
+        this.queue.enqueue(group.original, { style });
+        this.showStatus(`Enhancing in ${getStylePreset(style).label} style - kept as a new version`);
+    }
+
+    async share() {
+        const photo = this.currentPhoto;
+        if (!photo) return;
+
+        // Fallback for browsers without Web Share API
+        if (!navigator.share) {
+            this.download();
+            return;
+        }
+
+        try {
+            const blob = await this.getExportBlob(photo);
+            const file = new File([blob], `photo-${photo.id}.jpg`, { type: blob.type || 'image/jpeg' });
+            await navigator.share({
+                files: [file],
+                title: 'Photo from Lens'
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Share failed:', error);
+            this.download();
+        }
+    }
+
+    async download() {
+        const photo = this.currentPhoto;
+        if (!photo) return;
+
+        try {
+            const url = URL.createObjectURL(await this.getExportBlob(photo));
+            const link = document.createElement('a');
+            link.download = `ai-camera-${photo.type}-${photo.id}.jpg`;
+            link.href = url;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            this.showStatus('Photo downloaded!');
+        } catch (error) {
+            console.error('Download failed:', error);
+            this.showStatus('Failed to save photo');
+        }
+    }
+
+    /**
+     * Move the capture with all its versions to Recently Deleted. There is
+     * no confirmation - the delete can be undone.
+     */
+    async delete() {
+        const group = this.currentGroup;
+        if (!group) return;
+
+        try {
+            await this.store.trashGroup(group.groupId);
+            this.close();
+            this.onDelete(group);
+        } catch (error) {
+            console.error('Delete failed:', error);
+            this.showStatus('Failed to delete photo');
+        }
+    }
+}
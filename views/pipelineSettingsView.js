@@ -0,0 +1,55 @@
+/**
+ * Pipeline Settings View
+ * One slider per stage of the local enhancement pipeline
+ */
+
+import { PIPELINE_PARAMETERS } from '../enhancementPipeline.js';
+
+export class PipelineSettingsView {
+    constructor({ onParameterChange, onReset }) {
+        this.elements = {
+            params: document.getElementById('pipelineParams'),
+            resetBtn: document.getElementById('pipelineResetBtn')
+        };
+
+        this.elements.resetBtn.addEventListener('click', () => onReset());
+
+        // Saved once the slider is released - each change is persisted
+        this.elements.params.addEventListener('input', (e) => {
+            const input = e.target.closest('input[data-key]');
+            if (input) input.nextElementSibling.textContent = input.value;
+        });
+        this.elements.params.addEventListener('change', (e) => {
+            const input = e.target.closest('input[data-key]');
+            if (input) onParameterChange(input.dataset.key, Number(input.value));
+        });
+    }
+
+    render(settings, customized) {
+        this.elements.resetBtn.disabled = !customized;
+        this.elements.params.innerHTML = '';
+
+        PIPELINE_PARAMETERS.forEach(({ key, label, min, max, step }) => {
+            const row = document.createElement('label');
+            row.className = 'detector-param';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = min;
+            input.max = max;
+            input.step = step;
+            input.value = settings[key];
+            input.dataset.key = key;
+
+            const value = document.createElement('span');
+            value.className = 'detector-param-value';
+            value.textContent = settings[key];
+
+            row.append(name, input, value);
+            this.elements.params.appendChild(row);
+        });
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * Prompt Template View
+ * Template editor panel with a live preview of the prompt each draft
+ * produces in the current style
+ */
+
+import { DEFAULT_PROMPT_TEMPLATES, PROMPT_VARIABLES } from '../promptBuilder.js';
+
+export class PromptTemplateView {
+    constructor(promptBuilder, { onSave, onReset, getPreviewPhoto }) {
+        this.promptBuilder = promptBuilder;
+        this.getPreviewPhoto = getPreviewPhoto;
+        this.customized = new Set();
+
+        this.elements = {
+            panel: document.getElementById('promptPanel'),
+            provider: document.getElementById('promptTemplateProvider'),
+            prompt: document.getElementById('promptTemplate'),
+            negative: document.getElementById('negativeTemplate'),
+            variables: document.getElementById('promptVariables'),
+            preview: document.getElementById('promptPreview'),
+            saveBtn: document.getElementById('promptTemplateSaveBtn'),
+            resetBtn: document.getElementById('promptTemplateResetBtn')
+        };
+
+        Object.entries(DEFAULT_PROMPT_TEMPLATES).forEach(([provider, template]) => {
+            this.elements.provider.appendChild(this.createOption(provider, template.label));
+        });
+        this.elements.variables.textContent = PROMPT_VARIABLES
+            .map(({ key, description }) => `{${key}} - ${description}`)
+            .join('\n');
+
+        this.elements.provider.addEventListener('change', () => this.renderTemplate());
+        this.elements.prompt.addEventListener('input', () => this.renderPreview());
+        this.elements.negative.addEventListener('input', () => this.renderPreview());
+        this.elements.saveBtn.addEventListener('click', () => onSave(this.elements.provider.value, this.getDraft()));
+        this.elements.resetBtn.addEventListener('click', () => onReset(this.elements.provider.value));
+    }
+
+    createOption(value, label) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }
+
+    get isOpen() {
+        return !this.elements.panel.classList.contains('hidden');
+    }
+
+    toggle() {
+        this.elements.panel.classList.toggle('hidden');
+        if (this.isOpen) this.renderTemplate();
+    }
+
+    /**
+     * `customized` lists providers with their own template
+     */
+    render(customized) {
+        this.customized = new Set(customized);
+        if (this.isOpen) this.renderTemplate();
+    }
+
+    renderTemplate() {
+        const provider = this.elements.provider.value;
+        const template = this.promptBuilder.getTemplate(provider);
+        this.elements.prompt.value = template.prompt;
+        this.elements.negative.value = template.negative;
+        this.elements.resetBtn.disabled = !this.customized.has(provider);
+        this.renderPreview();
+    }
+
+    getDraft() {
+        return {
+            prompt: this.elements.prompt.value,
+            negative: this.elements.negative.value
+        };
+    }
+
+    /**
+     * The prompt the draft gives for what the camera sees right now
+     */
+    renderPreview() {
+        const { prompt, negativePrompt } = this.promptBuilder.render(this.getDraft(), this.getPreviewPhoto());
+        this.elements.preview.textContent = `${prompt}\n\nNegative: ${negativePrompt || '(none)'}`;
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Provider Order View
+ * Fallback order list with health indicators in the API configuration panel
+ */
+
+import { CircuitState } from '../providerRegistry.js';
+
+export class ProviderOrderView {
+    constructor(listElement, imageEnhancer, { onReorder }) {
+        this.list = listElement;
+        this.imageEnhancer = imageEnhancer;
+        this.onReorder = onReorder;
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-move]');
+            if (!button) return;
+
+            const order = this.imageEnhancer.getProviderOrder();
+            const index = order.indexOf(button.closest('.provider-item').dataset.provider);
+            const target = index + Number(button.dataset.move);
+
+            if (index === -1 || target < 0 || target >= order.length) return;
+
+            [order[index], order[target]] = [order[target], order[index]];
+            this.onReorder(order);
+        });
+    }
+
+    render() {
+        const providers = this.imageEnhancer.getProviderStatus();
+        this.list.innerHTML = '';
+
+        providers.forEach((provider, index) => {
+            const item = document.createElement('li');
+            item.className = 'provider-item';
+            item.dataset.provider = provider.name;
+            if (!provider.configured) {
+                item.classList.add('unconfigured');
+            }
+
+            const dot = document.createElement('span');
+            dot.className = `health-dot ${provider.health.state}`;
+            dot.title = this.describeHealth(provider);
+
+            const name = document.createElement('span');
+            name.className = 'provider-name';
+            name.textContent = provider.configured ? provider.label : `${provider.label} (no key)`;
+
+            const up = this.createMoveButton('↑', -1, index === 0);
+            const down = this.createMoveButton('↓', 1, index === providers.length - 1);
+
+            item.append(dot, name, up, down);
+            this.list.appendChild(item);
+        });
+    }
+
+    createMoveButton(label, direction, disabled) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.dataset.move = direction;
+        button.disabled = disabled;
+        return button;
+    }
+
+    describeHealth(provider) {
+        const { health } = provider;
+
+        if (health.state === CircuitState.OPEN) {
+            const seconds = Math.max(0, Math.round((health.retryAt - Date.now()) / 1000));
+            return `Skipped after repeated failures - retry in ${seconds}s (${health.lastError})`;
+        }
+        if (health.state === CircuitState.HALF_OPEN) {
+            return 'Recovering - next request is a trial';
+        }
+        if (health.recentFailures > 0) {
+            return `${health.recentFailures} recent failure(s): ${health.lastError}`;
+        }
+        return 'Healthy';
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * Recently Deleted View
+ * Deleted captures with the days left before they are removed for good.
+ * Selected captures (or all of them) can be restored or deleted permanently.
+ */
+
+import { DELETED_RETENTION_DAYS } from '../galleryStore.js';
+
+export class RecentlyDeletedView {
+    constructor(store, { showStatus }) {
+        this.store = store;
+        this.showStatus = showStatus;
+        this.selected = new Set();
+
+        this.elements = {
+            container: document.getElementById('recentlyDeletedView'),
+            grid: document.getElementById('deletedGrid'),
+            empty: document.getElementById('deletedEmpty'),
+            count: document.getElementById('deletedCount'),
+            note: document.getElementById('deletedNote'),
+            restoreBtn: document.getElementById('deletedRestoreBtn'),
+            purgeBtn: document.getElementById('deletedPurgeBtn'),
+            openBtn: document.getElementById('recentlyDeletedBtn')
+        };
+
+        this.elements.note.textContent = `Photos are removed for good after ${DELETED_RETENTION_DAYS} days`;
+
+        this.elements.grid.addEventListener('click', (e) => {
+            const item = e.target.closest('.photo-item');
+            if (!item) return;
+
+            const groupId = item.dataset.groupId;
+            if (this.selected.has(groupId)) {
+                this.selected.delete(groupId);
+            } else {
+                this.selected.add(groupId);
+            }
+            item.classList.toggle('selected', this.selected.has(groupId));
+            this.updateActions();
+        });
+
+        this.elements.restoreBtn.addEventListener('click', () => this.restore());
+        this.elements.purgeBtn.addEventListener('click', () => this.purge());
+
+        this.store.subscribe(() => {
+            this.updateEntry();
+            if (this.isOpen) this.render();
+        });
+    }
+
+    get isOpen() {
+        return this.elements.container.classList.contains('active');
+    }
+
+    open() {
+        this.selected.clear();
+        this.elements.container.classList.add('active');
+        this.render();
+    }
+
+    close() {
+        this.elements.container.classList.remove('active');
+    }
+
+    /**
+     * The gallery's way in, shown while anything can be restored
+     */
+    updateEntry() {
+        const count = this.store.deletedGroups.length;
+        this.elements.openBtn.textContent = `Recently Deleted (${count})`;
+        this.elements.openBtn.classList.toggle('hidden', count === 0);
+    }
+
+    render() {
+        const { grid, empty, count } = this.elements;
+        const groups = this.store.deletedGroups;
+
+        // Forget selections of captures that are gone
+        const present = new Set(groups.map(group => String(group.groupId)));
+        this.selected.forEach(groupId => {
+            if (!present.has(groupId)) this.selected.delete(groupId);
+        });
+
+        grid.querySelectorAll('.photo-item').forEach(item => item.remove());
+        count.textContent = `${groups.length} photo${groups.length === 1 ? '' : 's'}`;
+        empty.style.display = groups.length === 0 ? 'flex' : 'none';
+
+        groups.forEach(group => {
+            const item = document.createElement('div');
+            item.className = 'photo-item';
+            item.dataset.groupId = group.groupId;
+            item.classList.toggle('selected', this.selected.has(String(group.groupId)));
+
+            const img = document.createElement('img');
+            img.src = this.store.getThumbnailUrl(group.cover.id) || '';
+            img.alt = 'Deleted photo';
+            img.loading = 'lazy';
+
+            const daysLeft = this.store.getDaysLeft(group);
+            const label = document.createElement('div');
+            label.className = 'photo-timestamp';
+            label.textContent = daysLeft === 1 ? '1 day' : `${daysLeft} days`;
+
+            item.append(img, label);
+            grid.appendChild(item);
+        });
+
+        this.updateActions();
+    }
+
+    updateActions() {
+        const { restoreBtn, purgeBtn } = this.elements;
+        const any = this.store.deletedGroups.length > 0;
+
+        restoreBtn.textContent = this.selected.size > 0 ? `Restore ${this.selected.size}` : 'Restore all';
+        purgeBtn.textContent = this.selected.size > 0 ? `Delete ${this.selected.size}` : 'Delete all';
+        restoreBtn.disabled = !any;
+        purgeBtn.disabled = !any;
+    }
+
+    /**
+     * Selected captures, or all of them when none are selected
+     */
+    getTargets() {
+        return this.selected.size > 0
+            ? [...this.selected]
+            : this.store.deletedGroups.map(group => String(group.groupId));
+    }
+
+    async restore() {
+        const targets = this.getTargets();
+        if (targets.length === 0) return;
+
+        try {
+            for (const groupId of targets) {
+                await this.store.restoreGroup(groupId);
+            }
+            this.showStatus(targets.length === 1 ? 'Photo restored' : `${targets.length} photos restored`);
+        } catch (error) {
+            console.error('Restore failed:', error);
+            this.showStatus('Failed to restore photos');
+        }
+    }
+
+    async purge() {
+        const targets = this.getTargets();
+        if (targets.length === 0) return;
+
+        const message = targets.length === 1
+            ? 'Permanently delete this photo and its versions? This cannot be undone.'
+            : `Permanently delete ${targets.length} photos and their versions? This cannot be undone.`;
+        if (!confirm(message)) return;
+
+        try {
+            for (const groupId of targets) {
+                await this.store.purgeGroup(groupId);
+            }
+            this.showStatus(targets.length === 1 ? 'Photo deleted permanently' : `${targets.length} photos deleted permanently`);
+        } catch (error) {
+            console.error('Permanent delete failed:', error);
+            this.showStatus('Failed to delete photos');
+        }
+    }
+}
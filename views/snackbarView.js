@@ -0,0 +1,42 @@
+/**
+ * Snackbar View
+ * Short message at the bottom of the screen with an optional action, such
+ * as undoing a delete
+ */
+
+export class SnackbarView {
+    constructor(displayMs = 6000) {
+        this.displayMs = displayMs;
+        this.hideTimer = null;
+        this.onAction = null;
+
+        this.elements = {
+            container: document.getElementById('snackbar'),
+            message: document.getElementById('snackbarMessage'),
+            action: document.getElementById('snackbarAction')
+        };
+
+        this.elements.action.addEventListener('click', () => {
+            const onAction = this.onAction;
+            this.hide();
+            if (onAction) onAction();
+        });
+    }
+
+    show(message, { actionLabel = null, onAction = null } = {}) {
+        this.elements.message.textContent = message;
+        this.elements.action.textContent = actionLabel || '';
+        this.elements.action.classList.toggle('hidden', !actionLabel);
+        this.onAction = onAction;
+        this.elements.container.classList.add('show');
+
+        clearTimeout(this.hideTimer);
+        this.hideTimer = setTimeout(() => this.hide(), this.displayMs);
+    }
+
+    hide() {
+        clearTimeout(this.hideTimer);
+        this.onAction = null;
+        this.elements.container.classList.remove('show');
+    }
+}
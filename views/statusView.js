@@ -0,0 +1,44 @@
+/**
+ * Status View
+ * Transient status messages shown over the current screen
+ */
+
+export class StatusView {
+    constructor(overlay, messageElement, displayMs = 3000) {
+        this.overlay = overlay;
+        this.messageElement = messageElement;
+        this.displayMs = displayMs;
+        this.hideTimer = null;
+        this.onTap = null;
+
+        this.overlay.addEventListener('click', () => {
+            if (!this.onTap) return;
+            const onTap = this.onTap;
+            this.hide();
+            onTap();
+        });
+    }
+
+    /**
+     * Show a message. Messages auto-hide unless `persistent` is set; with
+     * `onTap` the message becomes tappable.
+     */
+    show(message, persistent = false, onTap = null) {
+        this.messageElement.textContent = message;
+        this.onTap = onTap;
+        this.overlay.classList.toggle('actionable', Boolean(onTap));
+        this.overlay.classList.add('show');
+        console.log('Status:', message);
+
+        clearTimeout(this.hideTimer);
+        if (!persistent) {
+            this.hideTimer = setTimeout(() => this.hide(), this.displayMs);
+        }
+    }
+
+    hide() {
+        clearTimeout(this.hideTimer);
+        this.onTap = null;
+        this.overlay.classList.remove('show', 'actionable');
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * Style Preset View
+ * Strip of style presets on the camera screen, applied to the next capture
+ */
+
+import { STYLE_PRESETS } from '../stylePresets.js';
+
+export class StylePresetView {
+    constructor({ onChange }) {
+        this.elements = {
+            presets: document.getElementById('stylePresets')
+        };
+
+        Object.entries(STYLE_PRESETS).forEach(([name, preset]) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'style-preset';
+            chip.dataset.preset = name;
+            chip.textContent = preset.label;
+            this.elements.presets.appendChild(chip);
+        });
+
+        this.elements.presets.addEventListener('click', (e) => {
+            const chip = e.target.closest('button[data-preset]');
+            if (chip) onChange(chip.dataset.preset);
+        });
+    }
+
+    render(selected) {
+        this.elements.presets.querySelectorAll('.style-preset').forEach(chip => {
+            chip.classList.toggle('active', chip.dataset.preset === selected);
+        });
+    }
+}